@@ -9,6 +9,9 @@ export default [
       globals: {
         process: "readonly",
         console: "readonly",
+        AbortController: "readonly",
+        AbortSignal: "readonly",
+        fetch: "readonly",
       },
     },
     files: ["**/*.js"],
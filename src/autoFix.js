@@ -0,0 +1,49 @@
+import { assessCommand, Risk } from "./safety.js";
+import { getItemType } from "./util.js";
+
+// Exit code of a shell whose command was stopped with Ctrl+C
+const INTERRUPTED_EXIT_CODE = 130;
+
+export function isAutoFixEnabled(context) {
+  return Boolean(context.options?.autoFix || context.config?.autoFix?.enabled);
+}
+
+export function getMaxAttempts(config) {
+  return config?.autoFix?.maxAttempts ?? 3;
+}
+
+// Whether a run should be sent back to the model. Runs the user stopped on
+// purpose aren't.
+export function needsAutoFix(executionResults) {
+  const { error, signal, exitCode } = executionResults ?? {};
+  return (
+    Boolean(error) && signal !== "SIGINT" && exitCode !== INTERRUPTED_EXIT_CODE
+  );
+}
+
+// The refinement that asks the model to fix a failed run. The attempt number
+// is counted from the last request the user made.
+export function createAutoFixCommand(context, executionResults) {
+  const { currentCommand } = context;
+
+  return {
+    request: `The ${getItemType(
+      context
+    )} failed. Fix the cause of the failure so that it succeeds.`,
+    previousExecutionResults: executionResults,
+    type: "refinement",
+    autoFixAttempt: (currentCommand.autoFixAttempt ?? 0) + 1,
+  };
+}
+
+// Fixed commands run without confirmation when they are safe, scripts and
+// anything the model or the safety check flags are shown first. Even low
+// risk writes such as a redirect into ~/.bashrc wait for the user.
+export function canRunWithoutConfirmation(context, response) {
+  const { config, scriptMode, planMode } = context;
+  if (scriptMode || planMode || config?.autoFix?.confirm) return false;
+  if (response.destructive || response.clarification_needed?.trim()) {
+    return false;
+  }
+  return assessCommand(response, config).level === Risk.NONE;
+}
@@ -0,0 +1,116 @@
+import chalk from "chalk";
+import log from "../log.js";
+import { getRequiredConfig } from "../config.js";
+import { generateResponse } from "../llm.js";
+import { runStateMachine, State } from "../machine.js";
+import { ExitCode, readStdin } from "../print.js";
+import { assessCommand, compareRisk, Risk } from "../safety.js";
+import { createSessionId } from "../sessions.js";
+import { keepExplainedCommand } from "../states/userRequest.js";
+import {
+  displayCommandBreakdown,
+  displaySafety,
+  displaySuggestedCommand,
+} from "../states/userResponse.js";
+import { getSystemInfo } from "../systemInfo.js";
+import { SpendingLimitError } from "../usage.js";
+import { setupGlobalKeyHandler } from "../util.js";
+
+// Explain once and exit, for piped input and --print/--json. Resolves with
+// the process exit code.
+async function printExplanation(context) {
+  const { options, config } = context;
+
+  let result;
+  try {
+    ({ result } = await generateResponse(context, {
+      onStatus: (message) => process.stderr.write(chalk.yellow(message) + "\n"),
+    }));
+  } catch (error) {
+    process.stderr.write(
+      chalk.red(`Error explaining command: ${error.message}`) + "\n"
+    );
+    return error instanceof SpendingLimitError
+      ? ExitCode.SPENDING_LIMIT
+      : ExitCode.PROVIDER_ERROR;
+  }
+
+  if (!result) {
+    process.stderr.write(chalk.red("Failed to explain the command.") + "\n");
+    return ExitCode.PROVIDER_ERROR;
+  }
+
+  result = keepExplainedCommand(context.currentCommand.request, result);
+  const safety = assessCommand(result, config);
+
+  if (options.json) {
+    process.stdout.write(
+      JSON.stringify(
+        {
+          ...result,
+          safety: { level: safety.level, findings: safety.findings },
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  } else {
+    log.text(chalk.bold(result.content.trim()));
+    displayCommandBreakdown(result);
+    displaySuggestedCommand(result);
+    if (result.destructive) {
+      log.warning("This command may modify or delete existing files.");
+    }
+    if (result.caution) {
+      log.warning("Caution: " + result.caution);
+    }
+    displaySafety(safety);
+  }
+
+  return compareRisk(safety.level, Risk.MEDIUM) >= 0
+    ? ExitCode.DESTRUCTIVE
+    : ExitCode.SUCCESS;
+}
+
+// Explain an existing command, then offer the usual options so it can be
+// refined ("make this safe") or run
+export async function runExplain(commandParts, options) {
+  const config = await getRequiredConfig();
+
+  // The command can also be piped in through stdin
+  const command = commandParts.join(" ").trim() || (await readStdin());
+  if (!command) {
+    log.error("Error: A command to explain is required.");
+    process.exit(ExitCode.ERROR);
+  }
+
+  const systemInfo = await getSystemInfo();
+
+  const context = {
+    config,
+    systemInfo,
+    model: config.defaultModel,
+    currentCommand: {
+      request: command,
+      response: null,
+      refusedClarification: false,
+      type: "explain",
+    },
+    options,
+    commandHistory: [],
+    scriptMode: false,
+    planMode: false,
+    scriptName: null,
+    hasMultipleModels: config?.models?.length > 1,
+    sessionId: createSessionId(),
+    sessionCreatedAt: new Date().toISOString(),
+  };
+
+  // Piped input leaves no terminal to read keys from
+  if (options.print || options.json || !process.stdin.isTTY) {
+    process.exit(await printExplanation(context));
+  }
+
+  setupGlobalKeyHandler();
+  await runStateMachine(context, State.USER_REQUEST);
+}
@@ -0,0 +1,108 @@
+import chalk from "chalk";
+import log from "../log.js";
+import { getRequiredConfig } from "../config.js";
+import { getSystemInfo } from "../systemInfo.js";
+import { runStateMachine, State } from "../machine.js";
+import {
+  findSession,
+  getInitialRequest,
+  getSessionCommands,
+  listSessions,
+  sessionMatches,
+} from "../sessions.js";
+import { DEFAULT_SCRIPT_LANGUAGE } from "../languages.js";
+import { summarizePlan } from "../plan.js";
+import { setupGlobalKeyHandler, truncateText } from "../util.js";
+
+// List past sessions, optionally filtered by a search query
+export async function runHistory(query, options) {
+  const config = await getRequiredConfig();
+  const limit = parseInt(options.limit, 10) || 20;
+
+  let sessions = await listSessions(config);
+  if (query) {
+    sessions = sessions.filter((session) => sessionMatches(session, query));
+  }
+
+  if (sessions.length === 0) {
+    log.warning(query ? `No sessions match "${query}".` : "No sessions found.");
+    return;
+  }
+
+  for (const session of sessions.slice(0, limit)) {
+    const commands = getSessionCommands(session);
+    const lastResponse = [...commands]
+      .reverse()
+      .find(
+        (command) => command.response?.content || command.response?.steps
+      )?.response;
+
+    log.text(
+      chalk.bold(session.id) +
+        chalk.dim(
+          `  ${new Date(session.updatedAt).toLocaleString()}  ${session.model}` +
+            (session.scriptMode ? "  [script]" : "") +
+            (session.planMode ? "  [plan]" : "")
+        )
+    );
+    log.text("  " + truncateText(getInitialRequest(session), 80));
+    if (lastResponse) {
+      log.text(
+        chalk.gray("  └─ ") +
+          chalk.green(
+            truncateText(
+              session.scriptMode
+                ? `[${lastResponse.explanation || "Script"}]`
+                : lastResponse.steps
+                ? summarizePlan(lastResponse)
+                : lastResponse.content,
+              80
+            )
+          )
+      );
+    }
+  }
+
+  if (sessions.length > limit) {
+    log.detail(`\n${sessions.length - limit} more sessions not shown.`);
+  }
+  log.detail("\nResume a session with: ai2cli resume <id>");
+}
+
+// Re-enter a past session with its refinement chain restored
+export async function runResume(sessionId, options) {
+  const config = await getRequiredConfig();
+  const session = await findSession(config, sessionId);
+
+  if (!session) {
+    log.error(`Error: Session "${sessionId}" not found.`);
+    process.exit(1);
+  }
+
+  const systemInfo = await getSystemInfo();
+
+  const context = {
+    config,
+    systemInfo,
+    model: session.model,
+    currentCommand: session.currentCommand,
+    options,
+    commandHistory: session.commandHistory ?? [],
+    scriptMode: session.scriptMode ?? false,
+    planMode: session.planMode ?? false,
+    scriptName: session.scriptName ?? null,
+    // Sessions saved before scripts had a language were JavaScript
+    scriptLanguage: session.scriptLanguage ?? DEFAULT_SCRIPT_LANGUAGE,
+    hasMultipleModels: config?.models?.length > 1,
+    sessionUsage: session.usage,
+    sessionId: session.id,
+    sessionCreatedAt: session.createdAt,
+  };
+
+  setupGlobalKeyHandler();
+
+  await runStateMachine(
+    context,
+    session.currentCommand?.response ? State.USER_RESPONSE : State.USER_REQUEST
+  );
+}
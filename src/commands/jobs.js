@@ -0,0 +1,153 @@
+import { Buffer } from "buffer";
+import chalk from "chalk";
+import fs from "fs/promises";
+import { setTimeout as sleep } from "timers/promises";
+import log from "../log.js";
+import { getRequiredConfig } from "../config.js";
+import {
+  findJob,
+  getJobStatus,
+  JobStatus,
+  killJob,
+  listJobs,
+  removeFinishedJobs,
+} from "../jobs.js";
+import { truncateText } from "../util.js";
+
+// How often a followed log is checked for new output
+const FOLLOW_INTERVAL_MS = 500;
+
+function formatStatus(job) {
+  switch (job.status) {
+    case JobStatus.RUNNING:
+      return chalk.green("running");
+    case JobStatus.EXITED:
+      return job.exitCode === 0
+        ? chalk.dim("exited 0")
+        : chalk.red(`exited ${job.exitCode}`);
+    case JobStatus.KILLED:
+      return chalk.yellow("killed");
+    default:
+      return chalk.dim("unknown");
+  }
+}
+
+async function getRequiredJob(config, jobId) {
+  const job = await findJob(config, jobId);
+  if (!job) {
+    log.error(`Error: Job "${jobId}" not found.`);
+    process.exit(1);
+  }
+  return job;
+}
+
+// List background jobs started by ai2cli
+export async function runJobsList(options) {
+  const config = await getRequiredConfig();
+  const limit = parseInt(options.limit, 10) || 20;
+
+  const jobs = await listJobs(config);
+  if (jobs.length === 0) {
+    log.warning("No jobs found.");
+    return;
+  }
+
+  for (const job of jobs.slice(0, limit)) {
+    log.text(
+      chalk.bold(job.id) +
+        "  " +
+        formatStatus(job) +
+        chalk.dim(
+          `  ${new Date(job.startedAt).toLocaleString()}  pid ${job.pid}`
+        )
+    );
+    log.text("  " + chalk.green(truncateText(job.command, 80)));
+    log.detail(`  ${job.cwd}`);
+  }
+
+  if (jobs.length > limit) {
+    log.detail(`\n${jobs.length - limit} more jobs not shown.`);
+  }
+  log.detail(
+    "\nShow a job's output with: ai2cli jobs tail <id>, stop it with: ai2cli jobs kill <id>"
+  );
+}
+
+// Print the end of a job's log, optionally following it until the job ends
+export async function runJobsTail(jobId, options) {
+  const config = await getRequiredConfig();
+  const job = await getRequiredJob(config, jobId);
+  const lineCount = parseInt(options.lines, 10) || 20;
+
+  let content = "";
+  try {
+    content = await fs.readFile(job.logFile, "utf8");
+  } catch (error) {
+    log.error(`Error: Can't read the log of job ${job.id}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const lines = content.replace(/\n$/, "").split("\n");
+  if (content) process.stdout.write(lines.slice(-lineCount).join("\n") + "\n");
+
+  if (!options.follow) return;
+
+  let position = Buffer.byteLength(content);
+  let running = job.status === JobStatus.RUNNING;
+  while (running) {
+    await sleep(FOLLOW_INTERVAL_MS);
+    // Check the status before reading, so output written just before the
+    // job ended is still shown
+    running = (await getJobStatus(config, job)) === JobStatus.RUNNING;
+
+    const file = await fs.open(job.logFile, "r");
+    try {
+      const { size } = await file.stat();
+      if (size > position) {
+        const { buffer } = await file.read({
+          buffer: Buffer.alloc(size - position),
+          position,
+        });
+        process.stdout.write(buffer);
+        position = size;
+      }
+    } finally {
+      await file.close();
+    }
+  }
+
+  log.detail(`\nJob ${job.id} is no longer running.`);
+}
+
+// Stop a running job and every process it started
+export async function runJobsKill(jobId, options) {
+  const config = await getRequiredConfig();
+  const job = await getRequiredJob(config, jobId);
+
+  if (job.status !== JobStatus.RUNNING) {
+    log.warning(`Job ${job.id} isn't running.`);
+    return;
+  }
+
+  let killed;
+  try {
+    killed = await killJob(config, job, options.signal);
+  } catch (error) {
+    log.error(`Error: Failed to kill job ${job.id}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!killed) {
+    log.warning(`Job ${job.id} isn't running.`);
+    return;
+  }
+  log.info(`Sent ${options.signal} to job ${job.id}.`);
+}
+
+// Remove finished jobs and their logs
+export async function runJobsClean() {
+  const config = await getRequiredConfig();
+  const count = await removeFinishedJobs(config);
+  log.info(
+    count === 1 ? "Removed 1 finished job." : `Removed ${count} finished jobs.`
+  );
+}
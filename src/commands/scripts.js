@@ -0,0 +1,275 @@
+import chalk from "chalk";
+import { spawn } from "child_process";
+import { highlight } from "cli-highlight";
+import enquirer from "enquirer";
+import fs from "fs/promises";
+import os from "os";
+import log from "../log.js";
+import { getRequiredConfig } from "../config.js";
+import { formatDependency } from "../dependencies.js";
+import { getEditor, openInEditor } from "../editor.js";
+import { applyResourceLimits } from "../limits.js";
+import {
+  askScriptParameters,
+  findScript,
+  getScriptDependencies,
+  getRevisions,
+  getSavedScriptPaths,
+  getScriptPaths,
+  getScriptRunCommand,
+  isValidScriptName,
+  readScriptManifest,
+  renameScript,
+  rollbackScript,
+} from "../scripts.js";
+import {
+  getAvailableScripts,
+  loadExistingScript,
+  shellQuote,
+  truncateText,
+} from "../util.js";
+
+const { Confirm } = enquirer;
+
+// Find a saved script or exit. Commands that delete or overwrite something
+// need the exact name rather than a prefix, so they can't hit a script the
+// user didn't mean.
+async function getRequiredScript(config, scriptName, { exact = false } = {}) {
+  const script = await findScript(config, scriptName);
+  if (exact && script && script !== scriptName) {
+    log.error(`Error: Script "${scriptName}" not found.`);
+    log.detail(`This command needs the full name. Did you mean ${script}?`);
+    process.exit(1);
+  }
+  if (!script) {
+    log.error(`Error: Script "${scriptName}" not found.`);
+    log.detail("List saved scripts with: ai2cli scripts");
+    process.exit(1);
+  }
+  return script;
+}
+
+// List saved scripts, most recently changed first
+export async function runScriptsList() {
+  const config = await getRequiredConfig();
+  const scripts = await getAvailableScripts(config);
+
+  if (scripts.length === 0) {
+    log.warning("No scripts found.");
+    return;
+  }
+
+  for (const script of scripts) {
+    const { scriptPath } = await getSavedScriptPaths(config, script);
+    const { mtime } = await fs.stat(scriptPath);
+    const dependencies = await getScriptDependencies(config, script);
+    const manifest = await readScriptManifest(config, script);
+
+    log.text(chalk.bold(script) + chalk.dim(`  ${mtime.toLocaleString()}`));
+    if (manifest?.explanation || manifest?.request) {
+      log.text(
+        "  " + truncateText(manifest.explanation || manifest.request, 80)
+      );
+    }
+    if (dependencies.length > 0) {
+      log.detail(
+        `  Dependencies: ${dependencies.map(formatDependency).join(", ")}`
+      );
+    }
+  }
+
+  log.detail(
+    "\nRun a script with: ai2cli scripts run <name> [parameters...], show it with: ai2cli scripts show <name>"
+  );
+}
+
+// Print a script with its location, dependencies and what its manifest
+// records about it
+export async function runScriptsShow(scriptName) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName);
+
+  const content = await loadExistingScript(script, config);
+  if (content === undefined) process.exit(1);
+
+  const dependencies = await getScriptDependencies(config, script);
+  const manifest = await readScriptManifest(config, script);
+  const { scriptPath, language } = await getSavedScriptPaths(config, script);
+
+  log.detail(scriptPath);
+  if (manifest) {
+    log.text(chalk.cyan("Request: ") + manifest.request);
+    if (manifest.explanation) {
+      log.text(chalk.cyan("Explanation: ") + manifest.explanation);
+    }
+    const versions = manifest.history?.length ?? 1;
+    log.detail(
+      `Generated with ${manifest.model}, ${versions} version${
+        versions === 1 ? "" : "s"
+      }, last saved ${new Date(manifest.updatedAt).toLocaleString()}`
+    );
+    const revisions = getRevisions(manifest);
+    if (revisions.length > 0) {
+      log.text(chalk.cyan("Revisions:"));
+      revisions.forEach((entry) =>
+        log.text(
+          `  ${entry.revision}  ` +
+            chalk.dim(new Date(entry.savedAt).toLocaleString()) +
+            `  ${truncateText(entry.changelog || entry.request || "", 60)}`
+        )
+      );
+    }
+    if (manifest.parameters?.length) {
+      log.text(chalk.cyan("Parameters:"));
+      manifest.parameters.forEach((param) =>
+        log.text(
+          `  --${param.name}: ${param.description}${
+            param.required ? " (required)" : ""
+          }`
+        )
+      );
+    }
+  }
+  if (dependencies.length > 0) {
+    log.detail(
+      `Dependencies: ${dependencies.map(formatDependency).join(", ")}`
+    );
+  }
+  log.nl();
+  log.text(highlight(content, { language, ignoreIllegals: true }));
+}
+
+// Run a script with the parameters given on the command line, or ask for
+// them when there are none. Scripts with a manifest get the same form as
+// when they were generated. Exits with the script's exit code.
+export async function runScriptsRun(scriptName, parameters, options) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName);
+  const manifest = await readScriptManifest(config, script);
+
+  let paramString = parameters.map(shellQuote).join(" ");
+  const canAsk =
+    options.input && process.stdin.isTTY && manifest?.hasParameters !== false;
+  if (!paramString && canAsk) {
+    try {
+      paramString = (await askScriptParameters(manifest?.parameters)).trim();
+    } catch (error) {
+      // Cancelled with Ctrl+C or Esc
+      process.exit(1);
+    }
+  }
+
+  const { language } = await getSavedScriptPaths(config, script);
+  const dependencies = await getScriptDependencies(config, script);
+  const command = applyResourceLimits(
+    getScriptRunCommand(config, script, language, dependencies) +
+      (paramString ? ` ${paramString}` : ""),
+    config.execution?.limits
+  );
+
+  const exitCode = await new Promise((resolve) => {
+    const childProcess = spawn("/bin/sh", ["-c", command], {
+      stdio: "inherit",
+    });
+    childProcess.on("error", (error) => {
+      log.error(`Error running script: ${error.message}`);
+      resolve(1);
+    });
+    // Report a signal the way the shell would
+    childProcess.on("close", (code, signal) =>
+      resolve(code ?? 128 + (os.constants.signals[signal] ?? 0))
+    );
+  });
+  process.exit(exitCode);
+}
+
+// Delete a script and everything in its directory
+export async function runScriptsRemove(scriptName, options) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName, {
+    exact: true,
+  });
+
+  if (!options.yes) {
+    const confirmPrompt = new Confirm({
+      name: "remove",
+      message: `Delete the script ${script} and its directory?`,
+      initial: false,
+    });
+    let confirmed = false;
+    try {
+      confirmed = await confirmPrompt.run();
+    } catch (error) {
+      // Cancelled with Ctrl+C or Esc
+    }
+    if (!confirmed) return;
+  }
+
+  await fs.rm(getScriptPaths(config, script).scriptDir, {
+    recursive: true,
+    force: true,
+  });
+  log.info(`Removed ${script}.`);
+}
+
+// Rename a script
+export async function runScriptsMove(scriptName, newName) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName, {
+    exact: true,
+  });
+
+  if (!isValidScriptName(newName)) {
+    log.error(
+      `Error: "${newName}" isn't a valid script name. Use letters, digits, dots, dashes and underscores.`
+    );
+    process.exit(1);
+  }
+
+  try {
+    await renameScript(config, script, newName);
+  } catch (error) {
+    log.error(`Error: Failed to rename ${script}: ${error.message}`);
+    process.exit(1);
+  }
+  log.info(`Renamed ${script} to ${newName}.`);
+}
+
+// Restore an earlier revision of a script
+export async function runScriptsRollback(scriptName, revision) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName, {
+    exact: true,
+  });
+
+  const revisionNumber =
+    revision === undefined ? undefined : parseInt(revision, 10);
+  if (Number.isNaN(revisionNumber)) {
+    log.error(`Error: "${revision}" isn't a revision number.`);
+    process.exit(1);
+  }
+
+  let restored;
+  try {
+    restored = await rollbackScript(config, script, revisionNumber);
+  } catch (error) {
+    log.error(`Error: Failed to roll back ${script}: ${error.message}`);
+    log.detail(`List its revisions with: ai2cli scripts show ${script}`);
+    process.exit(1);
+  }
+  log.info(`Restored revision ${restored} of ${script}.`);
+}
+
+// Open a script in the user's editor
+export async function runScriptsOpen(scriptName) {
+  const config = await getRequiredConfig();
+  const script = await getRequiredScript(config, scriptName);
+
+  const { scriptPath } = await getSavedScriptPaths(config, script);
+  try {
+    await openInEditor(scriptPath, getEditor());
+  } catch (error) {
+    log.error(`Error: Failed to open ${script}: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,119 @@
+import chalk from "chalk";
+import log from "../log.js";
+import { getRequiredConfig } from "../config.js";
+import {
+  formatCost,
+  formatTokens,
+  readUsage,
+  recordsSince,
+  startOfDay,
+  startOfMonth,
+  summarizeUsage,
+} from "../usage.js";
+
+function formatSummary(summary) {
+  return (
+    `${formatCost(summary.cost)}`.padStart(10) +
+    chalk.dim(
+      `  ${formatTokens(summary.promptTokens)} prompt / ${formatTokens(
+        summary.completionTokens
+      )} completion tokens, ${summary.calls} calls`
+    )
+  );
+}
+
+function formatLimit(spent, limit) {
+  if (limit === undefined) return "";
+  return spent >= limit
+    ? chalk.red(`  (limit ${formatCost(limit)} reached)`)
+    : chalk.dim(`  (limit ${formatCost(limit)})`);
+}
+
+// Group records by a key and summarize each group
+function groupUsage(records, getKey) {
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = getKey(record);
+    groups.set(key, [...(groups.get(key) ?? []), record]);
+  });
+  return [...groups.entries()].map(([key, group]) => [
+    key,
+    summarizeUsage(group),
+  ]);
+}
+
+function dayKey(record) {
+  const date = new Date(record.date);
+  return startOfDay(date).toLocaleDateString();
+}
+
+function monthKey(record) {
+  const date = new Date(record.date);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Report token usage and cost with daily and monthly totals
+export async function runUsage(options) {
+  const config = await getRequiredConfig();
+  const days = parseInt(options.days, 10) || 7;
+  const months = parseInt(options.months, 10) || 3;
+  const { daily, monthly } = config.spendingLimits ?? {};
+
+  const records = await readUsage(config);
+  if (records.length === 0) {
+    log.warning("No usage recorded yet.");
+    return;
+  }
+
+  const today = summarizeUsage(recordsSince(records, startOfDay()));
+  const thisMonth = summarizeUsage(recordsSince(records, startOfMonth()));
+
+  log.header("Totals");
+  log.text("Today     " + formatSummary(today) + formatLimit(today.cost, daily));
+  log.text(
+    "This month" +
+      formatSummary(thisMonth) +
+      formatLimit(thisMonth.cost, monthly)
+  );
+
+  const firstDay = startOfDay();
+  firstDay.setDate(firstDay.getDate() - (days - 1));
+  log.header(`Daily (last ${days} days)`);
+  groupUsage(recordsSince(records, firstDay), dayKey)
+    .reverse()
+    .forEach(([day, summary]) => {
+      log.text(day.padEnd(10) + formatSummary(summary));
+    });
+
+  const firstMonth = startOfMonth();
+  firstMonth.setMonth(firstMonth.getMonth() - (months - 1));
+  log.header(`Monthly (last ${months} months)`);
+  groupUsage(recordsSince(records, firstMonth), monthKey)
+    .reverse()
+    .forEach(([month, summary]) => {
+      log.text(month.padEnd(10) + formatSummary(summary));
+    });
+
+  log.header("By model (this month)");
+  groupUsage(recordsSince(records, startOfMonth()), (record) => record.model)
+    .sort(([, a], [, b]) => b.cost - a.cost)
+    .forEach(([model, summary]) => {
+      log.text(model);
+      log.text("          " + formatSummary(summary));
+    });
+
+  // Without a price the cost of a model is unknown, not free
+  const unpriced = [
+    ...new Set(
+      records
+        .filter((record) => record.cost === null)
+        .map((record) => record.model)
+    ),
+  ];
+  if (unpriced.length > 0) {
+    log.nl();
+    log.warning(
+      `No price configured for: ${unpriced.join(", ")}. Add them to "prices" in your ~/.ai2cli config to include their cost.`
+    );
+  }
+}
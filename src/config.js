@@ -3,7 +3,13 @@ import path from "path";
 import os from "os";
 import { z } from "zod";
 import log from "./log.js";
-import { validProviders } from "./models.js";
+import { SandboxMethod } from "./sandbox.js";
+import { DEFAULT_SCRIPT_LANGUAGE, ScriptLanguage } from "./languages.js";
+import {
+  OPENAI_COMPATIBLE,
+  parseModelString,
+  validProviders,
+} from "./models.js";
 // Parse configuration
 export async function getConfig() {
   const configPath = path.join(os.homedir(), ".ai2cli");
@@ -16,8 +22,56 @@ export async function getConfig() {
   const ProviderSchema = z.object({
     apiKey: z.string().optional(),
     baseURL: z.string().url().optional(),
+    // Only set for user-defined providers, built-in providers use their name
+    type: z.literal(OPENAI_COMPATIBLE).optional(),
+    headers: z.record(z.string()).optional(),
   });
 
+  // Built-in providers are used as-is, any other name must be a
+  // user-defined OpenAI-compatible endpoint with a baseURL
+  const ProvidersSchema = z
+    .record(z.string(), ProviderSchema)
+    .superRefine((providers, ctx) => {
+      for (const [name, provider] of Object.entries(providers)) {
+        if (name.includes("/")) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [name],
+            message: 'Provider names cannot contain "/"',
+          });
+        } else if (
+          !validProviders.includes(name) &&
+          provider.type !== OPENAI_COMPATIBLE
+        ) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [name],
+            message: `Unknown provider. Set "type": "${OPENAI_COMPATIBLE}" to use a custom endpoint`,
+          });
+        } else if (provider.type === OPENAI_COMPATIBLE && !provider.baseURL) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [name, "baseURL"],
+            message: "A baseURL is required for custom providers",
+          });
+        }
+      }
+    });
+
+  // Allow and deny rules are regular expressions matched against each
+  // command in a generated command line
+  const SafetyRuleSchema = z.string().refine(
+    (pattern) => {
+      try {
+        new RegExp(pattern);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    { message: "Invalid regular expression" }
+  );
+
   const ConfigSchema = z.object({
     defaultModel: z.string(),
     models: z.array(z.string()),
@@ -25,7 +79,124 @@ export async function getConfig() {
       .string()
       .optional()
       .default(path.join(os.homedir(), ".ai2cli-scripts")),
-    providers: z.record(z.enum(validProviders), ProviderSchema),
+    // Language of generated scripts unless --language picks another
+    scriptLanguage: z
+      .enum(Object.values(ScriptLanguage))
+      .optional()
+      .default(DEFAULT_SCRIPT_LANGUAGE),
+    dependencies: z
+      .object({
+        // Packages installed without asking, on top of the well-known ones
+        allow: z.array(z.string()).default([]),
+        // Ask before installing packages that are neither allowed nor in the
+        // npm cache
+        confirmUnknown: z.boolean().default(true),
+      })
+      .optional()
+      .default({}),
+    sessionsDir: z
+      .string()
+      .optional()
+      .default(path.join(os.homedir(), ".ai2cli-sessions")),
+    cacheDir: z
+      .string()
+      .optional()
+      .default(path.join(os.homedir(), ".ai2cli-cache")),
+    jobsDir: z
+      .string()
+      .optional()
+      .default(path.join(os.homedir(), ".ai2cli-jobs")),
+    modelCacheHours: z.number().positive().optional().default(24),
+    fallbackModels: z.array(z.string()).optional().default([]),
+    usageLog: z
+      .string()
+      .optional()
+      .default(path.join(os.homedir(), ".ai2cli-usage.jsonl")),
+    // USD per million tokens, keyed by "provider/modelName"
+    prices: z
+      .record(
+        z.string(),
+        z.object({
+          input: z.number().nonnegative(),
+          output: z.number().nonnegative(),
+        })
+      )
+      .optional()
+      .default({}),
+    spendingLimits: z
+      .object({
+        daily: z.number().positive().optional(),
+        monthly: z.number().positive().optional(),
+      })
+      .optional()
+      .default({}),
+    safety: z
+      .object({
+        allow: z.array(SafetyRuleSchema).default([]),
+        deny: z.array(SafetyRuleSchema).default([]),
+      })
+      .optional()
+      .default({}),
+    execution: z
+      .object({
+        // Run commands in a pseudo-terminal so interactive programs work
+        pty: z.boolean().default(true),
+        // Stop commands that run longer than this, 0 for no limit
+        timeoutSeconds: z.number().nonnegative().default(0),
+        // Applied with ulimit to every command ai2cli runs
+        limits: z
+          .object({
+            cpuSeconds: z.number().positive().optional(),
+            memoryMB: z.number().positive().optional(),
+            fileSizeMB: z.number().positive().optional(),
+          })
+          .default({}),
+      })
+      .optional()
+      .default({}),
+    output: z
+      .object({
+        // Lines kept from the start and end of long output for the model
+        headLines: z.number().int().nonnegative().default(20),
+        tailLines: z.number().int().nonnegative().default(40),
+        // Error lines kept from the part in between
+        maxErrorLines: z.number().int().nonnegative().default(20),
+        maxLength: z.number().int().positive().default(8000),
+        // Save the complete output next to the session
+        saveFull: z.boolean().default(true),
+      })
+      .optional()
+      .default({}),
+    sandbox: z
+      .object({
+        method: z
+          .enum(Object.values(SandboxMethod))
+          .default(SandboxMethod.AUTO),
+        maxSizeMB: z.number().positive().default(200),
+        // Names of files and directories that aren't copied into the sandbox
+        exclude: z.array(z.string()).default([]),
+      })
+      .optional()
+      .default({}),
+    autoFix: z
+      .object({
+        // Send failed runs back to the model without asking
+        enabled: z.boolean().default(false),
+        maxAttempts: z.number().int().positive().default(3),
+        // Confirm every fix, even commands that pass the safety check
+        confirm: z.boolean().default(false),
+      })
+      .optional()
+      .default({}),
+    retry: z
+      .object({
+        attempts: z.number().int().positive().default(3),
+        initialDelayMs: z.number().int().nonnegative().default(1000),
+        timeoutMs: z.number().int().nonnegative().default(300000),
+      })
+      .optional()
+      .default({}),
+    providers: ProvidersSchema,
   });
 
   if (configExists) {
@@ -60,6 +231,12 @@ export async function getConfig() {
     "anthropic": {
       "apiKey": "YOUR_ANTHROPIC_API_KEY",
       "baseURL": "https://api.anthropic.com"
+    },
+    "myproxy": {
+      "type": "openai-compatible",
+      "baseURL": "http://localhost:8000/v1",
+      "apiKey": "OPTIONAL_API_KEY",
+      "headers": { "X-Team": "cli" }
     }
   }
 }`);
@@ -94,36 +271,45 @@ export async function getConfig() {
   return {};
 }
 
-// Get the appropriate API key based on the model provider/name
-export function getApiKeyForModel(config, modelString) {
+// Parse configuration, exiting when ai2cli hasn't been set up yet
+export async function getRequiredConfig() {
+  const config = await getConfig();
+  if (!Object.keys(config).length) {
+    log.error("Error: No configuration found. Run ai2cli --setup first.");
+    process.exit(1);
+  }
+  return config;
+}
+
+// Get the provider config for a model string (format: provider/modelName)
+function getProviderConfig(config, modelString) {
   if (!config || !config.providers) {
     return null;
   }
 
-  // Extract provider from the model string (format: provider/modelName)
-  const [provider] = modelString.split("/");
+  const { provider } = parseModelString(modelString);
 
-  if (provider && config.providers[provider]) {
-    return config.providers[provider].apiKey;
-  }
+  return (provider && config.providers[provider]) || null;
+}
 
-  return null;
+// Get the appropriate API key based on the model provider/name
+export function getApiKeyForModel(config, modelString) {
+  return getProviderConfig(config, modelString)?.apiKey ?? null;
 }
 
 // Get the appropriate baseURL based on the model provider
 export function getBaseURLForModel(config, modelString) {
-  if (!config || !config.providers) {
-    return null;
-  }
-
-  // Extract provider from the model string (format: provider/modelName)
-  const [provider] = modelString.split("/");
+  return getProviderConfig(config, modelString)?.baseURL ?? null;
+}
 
-  if (provider && config.providers[provider]) {
-    return config.providers[provider].baseURL;
-  }
+// Get any extra request headers configured for the model provider
+export function getHeadersForModel(config, modelString) {
+  return getProviderConfig(config, modelString)?.headers;
+}
 
-  return null;
+// Get the provider type, only set for user-defined providers
+export function getProviderTypeForModel(config, modelString) {
+  return getProviderConfig(config, modelString)?.type;
 }
 
 // Get default configuration
@@ -132,6 +318,13 @@ export function getDefaultConfig() {
     defaultModel: "openai/gpt-4",
     models: ["openai/gpt-4", "anthropic/claude-3-opus-20240229"],
     scriptsDir: path.join(os.homedir(), ".ai2cli-scripts"),
+    scriptLanguage: DEFAULT_SCRIPT_LANGUAGE,
+    sessionsDir: path.join(os.homedir(), ".ai2cli-sessions"),
+    cacheDir: path.join(os.homedir(), ".ai2cli-cache"),
+    jobsDir: path.join(os.homedir(), ".ai2cli-jobs"),
+    modelCacheHours: 24,
+    fallbackModels: [],
+    usageLog: path.join(os.homedir(), ".ai2cli-usage.jsonl"),
     providers: {
       openai: {
         apiKey: "",
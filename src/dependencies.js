@@ -0,0 +1,367 @@
+import chalk from "chalk";
+import { createHash } from "crypto";
+import enquirer from "enquirer";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import log from "./log.js";
+import { getScriptLanguage, ScriptLanguage } from "./languages.js";
+import { execAsync, shellQuote } from "./util.js";
+
+const { Confirm } = enquirer;
+
+// Packages the script prompt recommends, installed without asking
+const knownPackages = {
+  [ScriptLanguage.JAVASCRIPT]: [
+    "axios",
+    "chalk",
+    "cheerio",
+    "commander",
+    "csv-parse",
+    "date-fns",
+    "dotenv",
+    "execa",
+    "glob",
+    "ms",
+    "nanoid",
+    "ora",
+    "uuid",
+    "zod",
+  ],
+  [ScriptLanguage.PYTHON]: [
+    "beautifulsoup4",
+    "click",
+    "numpy",
+    "pandas",
+    "pillow",
+    "python-dateutil",
+    "pyyaml",
+    "requests",
+    "rich",
+  ],
+};
+
+const NPM_REGISTRY = "https://registry.npmjs.org/";
+
+// Package names as the registries publish them. Neither may start with "-",
+// which npm and pip would take as an option.
+const namePatterns = {
+  [ScriptLanguage.JAVASCRIPT]: /^(@[a-z0-9~][\w.~-]*\/)?[A-Za-z0-9~][\w.~-]*$/,
+  [ScriptLanguage.PYTHON]: /^[A-Za-z0-9]([\w.-]*[A-Za-z0-9])?(\[[\w.,-]+\])?$/,
+};
+
+// Semver ranges such as ^5.3.0, ~1.2, >=2 <3 or 1.x || 2.x. Git, URL, file
+// and alias specs would install something other than the registry package.
+const semverVersion = String.raw`v?(\d+|[xX*])(\.(\d+|[xX*])){0,2}(-[\w.-]+)?(\+[\w.-]+)?`;
+const semverComparator = String.raw`([~^]|[<>]=?|=)?\s*${semverVersion}`;
+const semverSet = String.raw`${semverComparator}(\s+-\s+${semverVersion}|(\s+${semverComparator})*)`;
+const semverRangePattern = new RegExp(
+  String.raw`^(latest|${semverSet}(\s*\|\|\s*${semverSet})*)$`
+);
+
+// PEP 440 specifiers such as >=2.31,<3 or ~=1.4, or a bare version. Direct
+// URLs (" @ https://...") and environment markers are not specifiers.
+const pep440Version = String.raw`v?\d+(\.\d+)*(\.\*)?([-_.]?(a|b|c|rc|alpha|beta|pre|preview|post|rev|r|dev)\d*)*(\+[a-z0-9.]+)?`;
+const pep440Clause = String.raw`(~=|===?|!=|[<>]=?)\s*${pep440Version}`;
+const pep440SpecifierPattern = new RegExp(
+  String.raw`^(${pep440Version}|${pep440Clause}(\s*,\s*${pep440Clause})*)$`,
+  "i"
+);
+
+const versionPatterns = {
+  [ScriptLanguage.JAVASCRIPT]: semverRangePattern,
+  [ScriptLanguage.PYTHON]: pep440SpecifierPattern,
+};
+
+// Split "chalk@^5.3.0" or "requests>=2.31" as responses listed dependencies
+// before the schema had a version field. Scoped npm names start with "@".
+function parseDependency(spec) {
+  const [, name, version] = spec.trim().match(/^(@?[^@<>=!~\s]*)@?(.*)$/);
+  return { name, version: version.trim() };
+}
+
+// The dependencies of a script response or manifest as { name, version }
+export function getDependencyList(dependencies) {
+  const list = Array.isArray(dependencies)
+    ? dependencies
+    : (dependencies ?? "").split(",");
+  return list
+    .map((dep) => (typeof dep === "string" ? parseDependency(dep) : dep))
+    .map(({ name, version }) => ({
+      name: name?.trim() ?? "",
+      version: version?.trim() ?? "",
+    }))
+    .filter(({ name }) => name);
+}
+
+export function formatDependency({ name, version }) {
+  return version ? `${name} ${version}` : name;
+}
+
+// The download cache shared by the scripts of a language
+function getCacheDir(config, language) {
+  return path.join(
+    config.cacheDir,
+    language === ScriptLanguage.PYTHON ? "pip" : "npm"
+  );
+}
+
+// Python package names ignore case and treat "-", "_" and "." alike
+function normalizeName(name, language) {
+  return language === ScriptLanguage.PYTHON
+    ? name.toLowerCase().replace(/[-_.]+/g, "-")
+    : name;
+}
+
+// Edit distance that counts two swapped letters as one edit, to catch names
+// one or two typos away from a known package
+function getEditDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : i))
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(
+          distances[i][j],
+          distances[i - 2][j - 2] + 1
+        );
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+function findSimilarName(name, knownNames) {
+  const maxDistance = name.length > 6 ? 2 : 1;
+  return (
+    knownNames.find(
+      (known) => known !== name && getEditDistance(name, known) <= maxDistance
+    ) ?? null
+  );
+}
+
+// Whether npm has fetched the package's metadata before, into its own cache
+// or the one shared by scripts. Names that were never published can't have
+// been. This reads the cache index directly so nothing goes over the network.
+async function isInNpmCache(name, config) {
+  const key = `make-fetch-happen:request-cache:${NPM_REGISTRY}${name.replace(
+    "/",
+    "%2f"
+  )}`;
+  const hash = createHash("sha256").update(key).digest("hex");
+  const cacheDirs = [
+    path.join(os.homedir(), ".npm", "_cacache"),
+    path.join(getCacheDir(config, ScriptLanguage.JAVASCRIPT), "_cacache"),
+  ];
+
+  for (const cacheDir of cacheDirs) {
+    try {
+      await fs.access(
+        path.join(
+          cacheDir,
+          "index-v5",
+          hash.slice(0, 2),
+          hash.slice(2, 4),
+          hash.slice(4)
+        )
+      );
+      return true;
+    } catch (error) {
+      // Not in this cache
+    }
+  }
+  return false;
+}
+
+// The dependencies whose name or version isn't a plain registry package and
+// version range, each with the reason. These are never installed.
+export function findInvalidDependencies(dependencies, language) {
+  const namePattern = namePatterns[language];
+  const versionPattern = versionPatterns[language];
+  if (!namePattern) return [];
+
+  return dependencies.flatMap((dep) => {
+    if (!namePattern.test(dep.name)) {
+      return [{ ...dep, invalid: "not a package name" }];
+    }
+    if (dep.version && !versionPattern.test(dep.version)) {
+      return [{ ...dep, invalid: "not a version range" }];
+    }
+    return [];
+  });
+}
+
+// The dependencies that are neither well known, allowed in the config nor
+// in the npm cache, each with the known package its name is close to. Those
+// could be made up by the model or typo-squatted. Invalid dependencies are
+// unknown whatever their name.
+export async function findUnknownDependencies(dependencies, language, config) {
+  const allowed = [
+    ...(knownPackages[language] ?? []),
+    ...(config.dependencies?.allow ?? []),
+  ].map((name) => normalizeName(name, language));
+  const invalid = findInvalidDependencies(dependencies, language);
+
+  const unknown = [];
+  for (const dep of dependencies) {
+    const invalidDep = invalid.find(({ name }) => name === dep.name);
+    if (invalidDep) {
+      unknown.push({ ...invalidDep, similarTo: null });
+      continue;
+    }
+    const name = normalizeName(dep.name, language);
+    if (allowed.includes(name)) continue;
+    if (
+      language === ScriptLanguage.JAVASCRIPT &&
+      (await isInNpmCache(dep.name, config))
+    ) {
+      continue;
+    }
+    unknown.push({ ...dep, similarTo: findSimilarName(name, allowed) });
+  }
+  return unknown;
+}
+
+export function describeUnknownDependency(dep) {
+  if (dep.invalid)
+    return formatDependency(dep) + chalk.red(` (${dep.invalid})`);
+  return (
+    formatDependency(dep) +
+    (dep.similarTo ? chalk.yellow(` (looks like ${dep.similarTo})`) : "")
+  );
+}
+
+async function confirmUnknownDependencies(unknown) {
+  log.warning(
+    "\nThese packages aren't in the allowlist or the npm cache. Check that they are the ones you expect:"
+  );
+  unknown.forEach((dep) => log.text(`- ${describeUnknownDependency(dep)}`));
+
+  const prompt = new Confirm({
+    name: "install",
+    message: "Install them?",
+    initial: false,
+  });
+  try {
+    return await prompt.run();
+  } catch (error) {
+    // Cancelled with Ctrl+C or Esc
+    return false;
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The package.json or requirements.txt for a script's dependencies, with
+// whether it differs from the one in the script directory
+async function getDependencyFile(
+  scriptDir,
+  scriptName,
+  language,
+  dependencies
+) {
+  const { dependencyFile, formatDependencies } = getScriptLanguage(language);
+  const dependencyPath = path.join(scriptDir, dependencyFile);
+  const content = formatDependencies(scriptName, dependencies);
+
+  const previous = await fs.readFile(dependencyPath, "utf8").catch(() => null);
+  return { path: dependencyPath, content, changed: previous !== content };
+}
+
+// Write a script's package.json or requirements.txt and install what it
+// lists, using the download cache shared by all scripts. Packages that
+// aren't known are only written and installed once confirmed, so declining
+// leaves nothing behind for a later install, and nothing is installed again
+// while the dependencies stay the same. Git, URL and other specs that aren't
+// version ranges are refused before anything is written.
+export async function installScriptDependencies(
+  config,
+  scriptDir,
+  scriptName,
+  language,
+  dependencies,
+  { spinner, skipInstall = false }
+) {
+  const { dependencyFile, installDir, lockFile, installCommand } =
+    getScriptLanguage(language);
+  if (!dependencyFile || dependencies.length === 0) return;
+
+  const invalid = findInvalidDependencies(dependencies, language);
+  if (invalid.length > 0) {
+    spinner.stop();
+    log.error(
+      "\nDependencies were not installed. Only registry packages with a version range can be:"
+    );
+    invalid.forEach((dep) => log.text(`- ${describeUnknownDependency(dep)}`));
+    return;
+  }
+
+  const file = await getDependencyFile(
+    scriptDir,
+    scriptName,
+    language,
+    dependencies
+  );
+  const locked = lockFile && (await exists(path.join(scriptDir, lockFile)));
+  const installed = locked && (await exists(path.join(scriptDir, installDir)));
+  if (!file.changed && installed) return;
+
+  if (config.dependencies?.confirmUnknown ?? true) {
+    spinner.text = chalk.blue("Checking dependencies...");
+    const unknown = await findUnknownDependencies(
+      dependencies,
+      language,
+      config
+    );
+    if (unknown.length > 0) {
+      spinner.stop();
+      if (!(await confirmUnknownDependencies(unknown))) {
+        log.warning(
+          `Dependencies were not installed and ${dependencyFile} was left as it was.`
+        );
+        return;
+      }
+      spinner.start();
+    }
+  }
+
+  if (file.changed) {
+    spinner.text = chalk.blue(`Creating ${dependencyFile}...`);
+    await fs.writeFile(file.path, file.content);
+  }
+
+  const command = installCommand(shellQuote(getCacheDir(config, language)), {
+    locked: locked && !file.changed,
+  });
+  const manualInstall = `You can manually install dependencies by running '${command}' in the script directory.`;
+
+  if (skipInstall) {
+    spinner.text = chalk.blue(
+      "Skipping dependency installation as requested..."
+    );
+    log.warning(`\nDependencies were not installed. ${manualInstall}`);
+    return;
+  }
+
+  spinner.text = chalk.blue("Installing dependencies...");
+  try {
+    await execAsync(command, { cwd: scriptDir });
+  } catch (error) {
+    spinner.stop();
+    log.error(`Error installing dependencies: ${error.message}`);
+    log.warning(manualInstall);
+  }
+}
@@ -0,0 +1,89 @@
+import chalk from "chalk";
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  const lines = text.split("\n");
+  // A trailing newline doesn't start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Compare two texts line by line. Returns every line of both as
+// { type, line } where type is " " (unchanged), "-" (removed) or "+" (added).
+export function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Length of the longest common subsequence of the remaining lines
+  const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0)
+  );
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (
+      i < oldLines.length &&
+      j < newLines.length &&
+      oldLines[i] === newLines[j]
+    ) {
+      changes.push({ type: " ", line: oldLines[i++] });
+      j++;
+    } else if (
+      i < oldLines.length &&
+      (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      // Removed lines come before the lines that replace them
+      changes.push({ type: "-", line: oldLines[i++] });
+    } else {
+      changes.push({ type: "+", line: newLines[j++] });
+    }
+  }
+  return changes;
+}
+
+export function countChanges(changes) {
+  return {
+    added: changes.filter((change) => change.type === "+").length,
+    removed: changes.filter((change) => change.type === "-").length,
+  };
+}
+
+// The changed lines with a few unchanged ones around them, in the colours
+// of a unified diff. Lines in between are replaced by a "@@ ... @@" marker.
+export function formatDiff(changes) {
+  const shown = changes.map((change, index) =>
+    changes
+      .slice(Math.max(index - CONTEXT_LINES, 0), index + CONTEXT_LINES + 1)
+      .some(({ type }) => type !== " ")
+  );
+
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  changes.forEach(({ type, line }, index) => {
+    if (shown[index]) {
+      if (index === 0 || !shown[index - 1]) {
+        lines.push(chalk.cyan(`@@ -${oldLine} +${newLine} @@`));
+      }
+      const text = `${type} ${line}`;
+      lines.push(
+        type === "+" ? chalk.green(text) : type === "-" ? chalk.red(text) : text
+      );
+    }
+    if (type !== "+") oldLine++;
+    if (type !== "-") newLine++;
+  });
+  return lines.join("\n");
+}
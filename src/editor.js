@@ -0,0 +1,37 @@
+import { spawn } from "child_process";
+import { suspendGlobalKeyHandler } from "./util.js";
+
+// Used when neither $EDITOR nor $VISUAL is set
+const FALLBACK_EDITOR = "vi";
+
+// The editor detected with the system info, or the environment when there
+// is none
+export function getEditor(systemInfo) {
+  const editor =
+    systemInfo?.defaultEditor ?? (process.env.EDITOR || process.env.VISUAL);
+  return editor && editor !== "unknown" ? editor : FALLBACK_EDITOR;
+}
+
+// Open a file in the editor and wait for it to close. The editor setting may
+// include arguments (e.g. "code --wait"), so it is run through the shell.
+export async function openInEditor(file, editor) {
+  const resumeKeyHandler = suspendGlobalKeyHandler();
+  try {
+    const exitCode = await new Promise((resolve, reject) => {
+      const childProcess = spawn(
+        "/bin/sh",
+        ["-c", `${editor} "$1"`, "sh", file],
+        {
+          stdio: "inherit",
+        }
+      );
+      childProcess.on("error", reject);
+      childProcess.on("close", resolve);
+    });
+    if (exitCode !== 0) {
+      throw new Error(`${editor} exited with code ${exitCode}`);
+    }
+  } finally {
+    resumeKeyHandler();
+  }
+}
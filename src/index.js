@@ -3,54 +3,104 @@ import { Command } from "commander";
 import log from "./log.js";
 import { getSystemInfo } from "./systemInfo.js";
 import { getConfig } from "./config.js";
+import { parseModelString } from "./models.js";
 import { runStateMachine, State } from "./machine.js";
-import { loadExistingScript } from "./util.js";
-import readline from "readline";
+import { loadExistingScript, setupGlobalKeyHandler } from "./util.js";
+import { ExitCode, readStdin, runPrintMode } from "./print.js";
+import { createSessionId } from "./sessions.js";
+import {
+  getScriptLanguage,
+  isScriptLanguage,
+  ScriptLanguage,
+} from "./languages.js";
+import { isSubcommandCall, registerSubcommands } from "./subcommands.js";
 
 const program = new Command();
 
-// Setup global keypress handler for ESC and Ctrl+C
-function setupGlobalKeyHandler() {
-  readline.emitKeypressEvents(process.stdin);
-  if (process.stdin.isTTY) process.stdin.setRawMode(true);
-  process.stdin.on("keypress", (str, key) => {
-    if (key.name === "escape" || (key.ctrl && key.name === "c")) {
-      log.nl();
-      log.info("Exiting ai2cli...");
-      process.exit(0);
-    }
-  });
-  process.stdin.resume();
+// Exit with an error unless the model follows provider/model format and
+// its provider is configured
+function validateModel(config, model) {
+  const { provider, modelName } = parseModelString(model);
+
+  // Check if the model follows provider/model format
+  if (!provider || !modelName) {
+    log.error(
+      `Error: Model "${model}" does not follow the required format "provider/modelName".`
+    );
+    process.exit(1);
+  }
+
+  // Validate provider exists
+  if (!config.providers?.[provider] && provider !== "ollama") {
+    log.error(`Error: Provider "${provider}" not found in config.`);
+
+    process.exit(1);
+  }
 }
 
 async function entry(options) {
-  const { request, existingScript, defaultModel } = options;
+  const { existingScript, defaultModel } = options;
+  const printMode = Boolean(options.print || options.json);
+  let { request } = options;
+
+  // In print mode the request can also be piped in through stdin
+  if (printMode && !request) {
+    request = await readStdin();
+  }
 
   const config = await getConfig();
 
   // Override model if specified in command line
   if (options.model) {
-    // Validate that the model exists or follows provider/model format
-    const modelParts = options.model.split("/");
-
-    // Check if the model follows provider/model format
-    if (modelParts.length !== 2) {
-      log.error(
-        `Error: Model "${options.model}" does not follow the required format "provider/modelName".`
-      );
+    validateModel(config, options.model);
+    config.defaultModel = options.model;
+  }
+
+  if (options.language && !isScriptLanguage(options.language)) {
+    log.error(
+      `Error: Unknown script language "${
+        options.language
+      }". Use one of: ${Object.values(ScriptLanguage).join(", ")}.`
+    );
+    process.exit(1);
+  }
+
+  // Choosing a language implies script mode
+  const scriptMode = Boolean(options.script || options.language);
+
+  if (options.plan && scriptMode) {
+    log.error("Error: --plan cannot be combined with --script.");
+    process.exit(1);
+  }
+
+  // Models to compare side by side
+  let compareModels = null;
+  if (options.compare) {
+    compareModels = [
+      ...new Set(
+        options.compare
+          .split(",")
+          .map((model) => model.trim())
+          .filter(Boolean)
+      ),
+    ];
+
+    if (compareModels.length < 2) {
+      log.error("Error: --compare needs at least two models.");
       process.exit(1);
     }
 
-    const [provider] = modelParts;
-
-    // Validate provider exists
-    if (!config.providers[provider] && provider !== "ollama") {
-      log.error(`Error: Provider "${provider}" not found in config.`);
+    if (printMode) {
+      log.error("Error: --compare cannot be combined with --print or --json.");
+      process.exit(1);
+    }
 
+    if (options.plan) {
+      log.error("Error: --compare cannot be combined with --plan.");
       process.exit(1);
     }
 
-    config.defaultModel = options.model;
+    compareModels.forEach((model) => validateModel(config, model));
   }
 
   let initialState = State.USER_REQUEST;
@@ -84,13 +134,39 @@ async function entry(options) {
     },
     options,
     commandHistory: [],
-    scriptMode: options.script ?? false,
+    scriptMode,
+    planMode: options.plan ?? false,
     scriptName: null,
+    scriptLanguage: options.language ?? config.scriptLanguage,
     hasMultipleModels,
+    compareModels,
+    sessionId: createSessionId(),
+    sessionCreatedAt: new Date().toISOString(),
   };
 
-  if (options.script && request) {
-    log.info(`\nGenerating JavaScript script for: "${request}"`);
+  if (printMode) {
+    if (!hasConfig) {
+      log.error("Error: No configuration found. Run ai2cli --setup first.");
+      process.exit(ExitCode.ERROR);
+    }
+
+    if (!request) {
+      log.error("Error: A request is required in print mode.");
+      process.exit(ExitCode.ERROR);
+    }
+
+    process.exit(await runPrintMode(initialContext));
+  }
+
+  // Interactive mode needs the global key handler for ESC and Ctrl+C
+  setupGlobalKeyHandler();
+
+  if (scriptMode && request) {
+    log.info(
+      `\nGenerating ${
+        getScriptLanguage(initialContext.scriptLanguage).label
+      } script for: "${request}"`
+    );
   }
 
   // Determine the initial state based on command line options and arguments
@@ -100,6 +176,8 @@ async function entry(options) {
     initialState = State.SCRIPT_SELECTION;
   } else if (!request) {
     initialState = State.NEW;
+  } else if (compareModels) {
+    initialState = State.COMPARE_MODELS;
   }
 
   await runStateMachine(initialContext, initialState);
@@ -107,9 +185,6 @@ async function entry(options) {
 
 // Main CLI function
 async function main() {
-  // Set up global key handler
-  setupGlobalKeyHandler();
-
   // Set up the program
   program
     .name("ai2cli")
@@ -117,14 +192,42 @@ async function main() {
     .version("1.0.0")
     .argument("[request...]", "Natural language request for a command")
     .option("--model <model>", "Override the default model from config")
+    .option(
+      "--compare <models>",
+      "Compare the responses of several comma-separated models side by side"
+    )
     .option(
       "--script",
       "Skip command generation and go directly to script mode"
     )
+    .option(
+      "--language <language>",
+      "Language of generated scripts: javascript (Node.js), typescript (Deno), python or bash. Implies --script"
+    )
+    .option(
+      "--plan",
+      "Generate a plan of several commands that are run one step at a time"
+    )
+    .option(
+      "--auto-fix",
+      "Send failed runs back to the model and retry with its fix"
+    )
     .option(
       "--refine-scripts",
       "Select and refine an existing script from the scripts directory"
     )
+    .option(
+      "--print",
+      "Print the generated command to stdout and exit without prompting"
+    )
+    .option(
+      "--json",
+      "Print the full generated response as JSON and exit without prompting"
+    )
+    .option(
+      "--insert-file <path>",
+      "Write the command to this file when the insert action is chosen (used by shell-init)"
+    )
     .option(
       "--setup",
       "Enter setup mode to configure or modify your ai2cli settings"
@@ -133,6 +236,12 @@ async function main() {
       return entry({ ...options, request: args?.join(" ") ?? "" });
     });
 
+  // Requests starting with a subcommand's name only reach the model when
+  // they don't fit that subcommand's arguments
+  if (isSubcommandCall(process.argv.slice(2), program)) {
+    registerSubcommands(program);
+  }
+
   program.parse();
 }
 
@@ -0,0 +1,187 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { applyResourceLimits } from "./limits.js";
+import { generateRandomHash } from "./util.js";
+
+export const JobStatus = {
+  RUNNING: "running",
+  EXITED: "exited",
+  KILLED: "killed",
+  // The process is gone without recording an exit code (e.g. a reboot)
+  UNKNOWN: "unknown",
+};
+
+// Every job has a metadata file, a log with its output and, once it has
+// finished, a file with its exit code
+function getJobPaths(config, id) {
+  return {
+    jobPath: path.join(config.jobsDir, `${id}.json`),
+    logPath: path.join(config.jobsDir, `${id}.log`),
+    exitPath: path.join(config.jobsDir, `${id}.exit`),
+  };
+}
+
+// Jobs run in their own process group, so the whole group is checked and
+// signalled rather than just the shell that started it
+function isGroupAlive(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+// Start a command detached from ai2cli with its output written to a log
+// file. Resolves with the job.
+export async function startJob(config, { command, cwd, sessionId }) {
+  await fs.mkdir(config.jobsDir, { recursive: true });
+
+  const id = generateRandomHash();
+  const { jobPath, logPath, exitPath } = getJobPaths(config, id);
+
+  const logFile = await fs.open(logPath, "a");
+  let childProcess;
+  try {
+    // The outer shell records the exit code once the command finishes
+    childProcess = spawn(
+      "/bin/sh",
+      [
+        "-c",
+        '/bin/sh -c "$1"; echo $? > "$2"',
+        "sh",
+        applyResourceLimits(command, config.execution?.limits),
+        exitPath,
+      ],
+      {
+        cwd,
+        detached: true,
+        stdio: ["ignore", logFile.fd, logFile.fd],
+      }
+    );
+  } finally {
+    await logFile.close();
+  }
+
+  const job = {
+    id,
+    command,
+    cwd,
+    pid: childProcess.pid,
+    sessionId,
+    startedAt: new Date().toISOString(),
+    logFile: logPath,
+  };
+
+  childProcess.unref();
+  await fs.writeFile(jobPath, JSON.stringify(job, null, 2));
+
+  return job;
+}
+
+// Work out whether a job is still running and how it ended. The exit code
+// file is checked first since it is written as the job's last step.
+async function getJobState(config, job) {
+  try {
+    const content = await fs.readFile(getJobPaths(config, job.id).exitPath);
+    return {
+      status: JobStatus.EXITED,
+      exitCode: parseInt(content.toString(), 10),
+    };
+  } catch (error) {
+    if (isGroupAlive(job.pid)) return { status: JobStatus.RUNNING };
+    return {
+      status: job.killedAt ? JobStatus.KILLED : JobStatus.UNKNOWN,
+    };
+  }
+}
+
+// Get all jobs with their current status, newest first
+export async function listJobs(config) {
+  let entries;
+  try {
+    entries = await fs.readdir(config.jobsDir);
+  } catch (error) {
+    return [];
+  }
+
+  const jobs = [];
+  for (const entry of entries.filter((entry) => entry.endsWith(".json"))) {
+    try {
+      const content = await fs.readFile(
+        path.join(config.jobsDir, entry),
+        "utf8"
+      );
+      const job = JSON.parse(content);
+      jobs.push({ ...job, ...(await getJobState(config, job)) });
+    } catch (error) {
+      // Skip unreadable or corrupt job files
+    }
+  }
+
+  jobs.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  return jobs;
+}
+
+// Find a job by its id or a unique id prefix
+export async function findJob(config, jobId) {
+  const jobs = await listJobs(config);
+  const exact = jobs.find((job) => job.id === jobId);
+  if (exact) return exact;
+
+  const matches = jobs.filter((job) => job.id.startsWith(jobId));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+export async function getJobStatus(config, job) {
+  return (await getJobState(config, job)).status;
+}
+
+// Signal every process the job started and remember that it was killed.
+// A job that has finished is left alone, since its process group id may
+// belong to other processes by now. Resolves with whether it was signalled.
+export async function killJob(config, job, signal = "SIGTERM") {
+  if ((await getJobStatus(config, job)) !== JobStatus.RUNNING) return false;
+
+  try {
+    process.kill(-job.pid, signal);
+  } catch (error) {
+    // The job ended in the meantime
+    if (error.code === "ESRCH") return false;
+    throw error;
+  }
+
+  const { jobPath } = getJobPaths(config, job.id);
+  try {
+    const metadata = JSON.parse(await fs.readFile(jobPath, "utf8"));
+    await fs.writeFile(
+      jobPath,
+      JSON.stringify(
+        { ...metadata, killedAt: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+  } catch (error) {
+    // The job was cleaned up meanwhile, so there is nothing to record it in
+    if (error.code !== "ENOENT") throw error;
+  }
+  return true;
+}
+
+// Remove finished jobs along with their logs. Resolves with the number of
+// jobs removed.
+export async function removeFinishedJobs(config) {
+  const finished = (await listJobs(config)).filter(
+    (job) => job.status !== JobStatus.RUNNING
+  );
+
+  for (const job of finished) {
+    const { jobPath, logPath, exitPath } = getJobPaths(config, job.id);
+    await Promise.all(
+      [jobPath, logPath, exitPath].map((file) => fs.rm(file, { force: true }))
+    );
+  }
+  return finished.length;
+}
@@ -0,0 +1,134 @@
+import path from "path";
+
+// The values double as the names highlight.js knows the languages by
+export const ScriptLanguage = {
+  JAVASCRIPT: "javascript",
+  TYPESCRIPT: "typescript",
+  PYTHON: "python",
+  BASH: "bash",
+};
+
+export const DEFAULT_SCRIPT_LANGUAGE = ScriptLanguage.JAVASCRIPT;
+
+// How scripts in each language are saved, run and get their dependencies.
+// Languages without a dependency file don't install anything: Deno fetches
+// npm: and jsr: imports on the first run, and bash scripts use the commands
+// that are already installed. Install commands get the shared download
+// cache already quoted for the shell, and whether the lockfile still matches
+// the dependency file.
+const scriptLanguages = {
+  [ScriptLanguage.JAVASCRIPT]: {
+    label: "Node.js",
+    entryFile: "index.js",
+    runner: "node",
+    dependencyFile: "package.json",
+    lockFile: "package-lock.json",
+    installDir: "node_modules",
+    installCommand: (cacheDir) =>
+      `npm install --cache ${cacheDir} --prefer-offline --no-audit --no-fund`,
+    formatDependencies: (scriptName, dependencies) =>
+      JSON.stringify(
+        {
+          name: scriptName,
+          version: "1.0.0",
+          description: `Generated script for "${scriptName}"`,
+          main: "index.js",
+          type: "module",
+          // The lockfile pins what gets installed for dependencies without
+          // a version range
+          dependencies: Object.fromEntries(
+            dependencies.map(({ name, version }) => [name, version || "latest"])
+          ),
+        },
+        null,
+        2
+      ),
+    parseDependencies: (content) =>
+      Object.entries(JSON.parse(content).dependencies ?? {}).map(
+        ([name, version]) => ({ name, version })
+      ),
+  },
+  [ScriptLanguage.TYPESCRIPT]: {
+    label: "Deno (TypeScript)",
+    entryFile: "main.ts",
+    runner: "deno run --allow-all",
+  },
+  [ScriptLanguage.PYTHON]: {
+    label: "Python",
+    entryFile: "main.py",
+    runner: "python3",
+    dependencyFile: "requirements.txt",
+    // Packages go into a virtual environment in the script directory, which
+    // then runs the script. pip has no lockfile of its own, so the versions
+    // it resolved are frozen after an install and installed again from there
+    // until requirements.txt changes.
+    lockFile: "requirements.lock",
+    installDir: ".venv",
+    installCommand: (cacheDir, { locked }) =>
+      locked
+        ? `python3 -m venv .venv && .venv/bin/pip install --cache-dir ${cacheDir} -r requirements.lock`
+        : `python3 -m venv .venv && .venv/bin/pip install --cache-dir ${cacheDir} -r requirements.txt && .venv/bin/pip freeze > requirements.lock`,
+    environmentRunner: path.join(".venv", "bin", "python"),
+    // A bare version number means exactly that version
+    formatDependencies: (scriptName, dependencies) =>
+      dependencies
+        .map(
+          ({ name, version }) =>
+            name + (/^\d/.test(version) ? `==${version}` : version)
+        )
+        .join("\n") + "\n",
+    parseDependencies: (content) =>
+      content
+        .split("\n")
+        .map((line) => line.replace(/#.*/, "").trim())
+        .filter(Boolean)
+        .map((line) => {
+          const [, name, version] = line.match(/^([^<>=!~;\s]+)(.*)$/);
+          return { name, version: version.trim() };
+        }),
+  },
+  [ScriptLanguage.BASH]: {
+    label: "Bash",
+    entryFile: "script.sh",
+    runner: "bash",
+  },
+};
+
+export function isScriptLanguage(language) {
+  return Object.hasOwn(scriptLanguages, language);
+}
+
+// Unknown languages, e.g. from scripts saved before there was a choice,
+// are treated as JavaScript
+export function getScriptLanguage(language) {
+  return scriptLanguages[
+    isScriptLanguage(language) ? language : DEFAULT_SCRIPT_LANGUAGE
+  ];
+}
+
+// The extension of the language's files, e.g. ".py"
+export function getScriptExtension(language) {
+  return path.extname(getScriptLanguage(language).entryFile);
+}
+
+// The entry file names of all languages, to recognise script directories
+export function getEntryFiles() {
+  return Object.values(scriptLanguages).map(({ entryFile }) => entryFile);
+}
+
+// The language whose entry file has this name, or null
+export function getLanguageOfEntryFile(fileName) {
+  const language = Object.keys(scriptLanguages).find(
+    (key) => scriptLanguages[key].entryFile === fileName
+  );
+  return language ?? null;
+}
+
+// The language a generated script is written in. The model names it in its
+// response; the requested language is the fallback.
+export function resolveScriptLanguage(response, requestedLanguage) {
+  if (isScriptLanguage(response?.language)) return response.language;
+  return isScriptLanguage(requestedLanguage)
+    ? requestedLanguage
+    : DEFAULT_SCRIPT_LANGUAGE;
+}
@@ -0,0 +1,15 @@
+// Prefix a command line with ulimit calls for the configured CPU, memory
+// and file size limits. The command doesn't run when a limit can't be set.
+export function applyResourceLimits(command, limits = {}) {
+  const { cpuSeconds, memoryMB, fileSizeMB } = limits;
+
+  const settings = [];
+  if (cpuSeconds) settings.push(`ulimit -t ${Math.ceil(cpuSeconds)}`);
+  // Virtual memory is given in kilobytes
+  if (memoryMB) settings.push(`ulimit -v ${Math.ceil(memoryMB * 1024)}`);
+  // POSIX shells count file sizes in 512-byte blocks
+  if (fileSizeMB) settings.push(`ulimit -f ${Math.ceil(fileSizeMB * 2048)}`);
+
+  if (settings.length === 0) return command;
+  return `${settings.join(" && ")} || exit 126\n${command}`;
+}
@@ -0,0 +1,387 @@
+import {
+  streamObject,
+  APICallError,
+  JSONParseError,
+  NoObjectGeneratedError,
+  TypeValidationError,
+} from "ai";
+import { setTimeout as sleep } from "timers/promises";
+import {
+  getScriptPrompt,
+  getCommandPrompt,
+  commandSchema,
+  scriptSchema,
+  getClarificationPrompt,
+  getRefinementPrompt,
+  getEditPrompt,
+  getExplainPrompt,
+  getRepairPrompt,
+  getPreviewPrompt,
+  previewSchema,
+  getPlanPrompt,
+  planSchema,
+} from "./prompt.js";
+import { getModel, parseModelString } from "./models.js";
+import {
+  getApiKeyForModel,
+  getBaseURLForModel,
+  getHeadersForModel,
+  getProviderTypeForModel,
+} from "./config.js";
+import {
+  addUsage,
+  checkSpendingLimits,
+  emptyUsage,
+  recordUsage,
+} from "./usage.js";
+
+const DEFAULT_RETRY = {
+  attempts: 3,
+  initialDelayMs: 1000,
+  timeoutMs: 300000,
+};
+
+// Never wait longer than this between retries, even if the provider asks to
+const MAX_RETRY_DELAY = 60000;
+
+export function buildMessagesLLM(context) {
+  const { currentCommand, scriptMode, planMode, commandHistory, systemInfo } =
+    context;
+  const messages = [];
+  const getSystemPrompt = scriptMode
+    ? getScriptPrompt
+    : planMode
+    ? getPlanPrompt
+    : getCommandPrompt;
+
+  const systemPrompt = getSystemPrompt({
+    systemInfo,
+    language: context.scriptLanguage,
+  });
+
+  const getPrompt = (command) => {
+    return command.type === "clarification"
+      ? getClarificationPrompt({ request: command.request })
+      : command.type === "refinement"
+      ? getRefinementPrompt({
+          request: command.request,
+          executionResults: command.previousExecutionResults,
+        })
+      : command.type === "edit"
+      ? getEditPrompt({ content: command.response.content })
+      : command.type === "explain"
+      ? getExplainPrompt({ command: command.request })
+      : command.existingScript
+      ? getRefinementPrompt({
+          existingScript: command.existingScript,
+          manifest: command.scriptManifest,
+          request: command.request,
+        })
+      : command.request;
+  };
+
+  messages.push({ role: "system", type: "text", content: systemPrompt });
+
+  commandHistory.forEach((command) => {
+    messages.push({
+      role: "user",
+      type: "text",
+      content: getPrompt(command),
+    });
+    messages.push({
+      role: "assistant",
+      content: JSON.stringify(command.response),
+    });
+  });
+
+  messages.push({
+    role: "user",
+    type: "text",
+    content: getPrompt(currentCommand),
+  });
+
+  return messages;
+}
+
+// Stream a single structured response from one model. onPartial is called
+// with the partial object as it streams in.
+async function streamResponse({
+  config,
+  model,
+  schema,
+  messages,
+  onPartial,
+  abortSignal,
+}) {
+  // Get the model function
+  const modelFn = getModel({
+    model,
+    apiKey: getApiKeyForModel(config, model),
+    baseURL: getBaseURLForModel(config, model),
+    headers: getHeadersForModel(config, model),
+    type: getProviderTypeForModel(config, model),
+  });
+
+  const { modelName } = parseModelString(model);
+
+  // The provider may have reported usage before the stream failed, which
+  // still has to be paid for. Without a report the tokens are NaN.
+  let streamError;
+  let reportedUsage;
+  // Providers' error chunks come through as plain objects
+  const withUsage = (error) => {
+    if (error && typeof error === "object") error.usage ??= reportedUsage;
+    return error;
+  };
+
+  const response = streamObject({
+    model: modelFn(modelName, { structuredOutputs: true }),
+    schema,
+    messages,
+    temperature: 0,
+    // Retries are handled by generateResponse
+    maxRetries: 0,
+    abortSignal,
+    onError: ({ error }) => {
+      streamError = error;
+    },
+    onFinish: ({ usage }) => {
+      if (Number.isFinite(usage.totalTokens)) reportedUsage = usage;
+    },
+  });
+
+  try {
+    for await (const partial of response.partialObjectStream) {
+      onPartial?.(partial);
+    }
+  } catch (error) {
+    throw withUsage(error);
+  }
+
+  if (streamError) {
+    throw withUsage(streamError);
+  }
+
+  // Usage is known once the stream finished, even if the object is invalid
+  const usage = await response.usage;
+
+  try {
+    // Use the validated structured output directly
+    return { object: await response.object, usage };
+  } catch (error) {
+    error.usage = usage;
+    throw error;
+  }
+}
+
+// The response didn't match the schema, so the model can repair it
+function isSchemaError(error) {
+  return (
+    NoObjectGeneratedError.isInstance(error) ||
+    TypeValidationError.isInstance(error) ||
+    JSONParseError.isInstance(error)
+  );
+}
+
+// Rate limits, server errors, timeouts and network failures are worth retrying
+function isRetryableError(error) {
+  if (error?.name === "TimeoutError") return true;
+  if (APICallError.isInstance(error)) return error.isRetryable;
+  return error instanceof TypeError && /fetch failed/i.test(error.message);
+}
+
+function getRetryDelay(error, attempt, initialDelayMs) {
+  // Respect the provider's Retry-After header when it sends one
+  const retryAfter = Number(error?.responseHeaders?.["retry-after"]);
+  const delay =
+    Number.isFinite(retryAfter) && retryAfter > 0
+      ? retryAfter * 1000
+      : initialDelayMs * 2 ** (attempt - 1);
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+function describeError(error) {
+  if (error?.name === "TimeoutError") return "Request timed out";
+  if (error?.statusCode === 429) return "Rate limited";
+  if (error?.statusCode) return `Provider error (${error.statusCode})`;
+  return "Connection failed";
+}
+
+// Only fall back to models whose provider is configured
+function isModelConfigured(config, model) {
+  const { provider, modelName } = parseModelString(model);
+  return Boolean(
+    modelName && (provider === "ollama" || config.providers?.[provider])
+  );
+}
+
+// Models to try in order: the selected model followed by the configured fallbacks
+export function getModelChain(context) {
+  const { config, model } = context;
+  const fallbacks = (config.fallbackModels ?? []).filter(
+    (fallback) => fallback !== model && isModelConfigured(config, fallback)
+  );
+  return [model, ...new Set(fallbacks)];
+}
+
+// A signal that aborts as soon as one of the signals does. AbortSignal.any
+// does the same but needs Node 20.3.
+function combineSignals(signals) {
+  if (signals.length <= 1) return signals[0];
+
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener("abort", () => controller.abort(signal.reason), {
+      once: true,
+      signal: controller.signal,
+    });
+  }
+  return controller.signal;
+}
+
+// Generate a structured command or script response for the current context.
+// Failed requests are retried with backoff, invalid responses are retried
+// with a repair prompt, and the configured fallback models are tried in
+// order (unless useFallbacks is false). The token usage of every call is
+// recorded. Resolves with { result, model, usage } where model is the one
+// that answered and usage covers all attempts.
+export async function generateResponse(
+  context,
+  {
+    onPartial,
+    onStatus,
+    abortSignal,
+    useFallbacks = true,
+    // Default to the schema and conversation for the current mode
+    schema = context.scriptMode
+      ? scriptSchema
+      : context.planMode
+      ? planSchema
+      : commandSchema,
+    messages: baseMessages = buildMessagesLLM(context),
+  } = {}
+) {
+  const { config } = context;
+  const { attempts, initialDelayMs, timeoutMs } = {
+    ...DEFAULT_RETRY,
+    ...config.retry,
+  };
+
+  // Refuse to spend more once a configured spending cap is reached
+  await checkSpendingLimits(config);
+
+  let totalUsage = emptyUsage();
+  const trackUsage = async (model, usage) => {
+    if (!usage) return;
+    const record = await recordUsage(config, {
+      sessionId: context.sessionId,
+      model,
+      usage,
+    });
+    totalUsage = addUsage(totalUsage, record);
+  };
+  const modelChain = useFallbacks ? getModelChain(context) : [context.model];
+  let lastError;
+
+  for (const [index, model] of modelChain.entries()) {
+    if (index > 0) {
+      onStatus?.(`Switching to fallback model ${model}`);
+    }
+
+    let messages = baseMessages;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const signals = [
+        abortSignal,
+        timeoutMs ? AbortSignal.timeout(timeoutMs) : null,
+      ].filter(Boolean);
+
+      try {
+        const { object, usage } = await streamResponse({
+          config,
+          model,
+          schema,
+          messages,
+          onPartial,
+          abortSignal: combineSignals(signals),
+        });
+        await trackUsage(model, usage);
+        return { result: object, model, usage: totalUsage };
+      } catch (error) {
+        await trackUsage(model, error.usage);
+
+        // The user cancelled, don't retry
+        if (abortSignal?.aborted) throw error;
+
+        lastError = error;
+        if (attempt === attempts) break;
+
+        if (isSchemaError(error)) {
+          messages = [...baseMessages, ...getRepairMessages(error)];
+          onStatus?.(
+            `Invalid response from ${model}, asking it to repair it (attempt ${
+              attempt + 1
+            }/${attempts})`
+          );
+        } else if (isRetryableError(error)) {
+          const delay = getRetryDelay(error, attempt, initialDelayMs);
+          onStatus?.(
+            `${describeError(error)}, retrying ${model} in ${Math.ceil(
+              delay / 1000
+            )}s (attempt ${attempt + 1}/${attempts})`
+          );
+          await sleep(delay, undefined, { signal: abortSignal });
+        } else {
+          // Not something a retry will fix, move on to the next model
+          break;
+        }
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+// Ask the model for a read-only variant of the current command that lists
+// the paths it would touch. Resolves like generateResponse.
+export async function generatePreview(context, options = {}) {
+  const { currentCommand } = context;
+  const messages = [
+    ...buildMessagesLLM(context),
+    {
+      role: "assistant",
+      content: JSON.stringify(currentCommand.response),
+    },
+    {
+      role: "user",
+      type: "text",
+      content: getPreviewPrompt({
+        command: currentCommand.response.content.trim(),
+      }),
+    },
+  ];
+
+  return generateResponse(context, {
+    ...options,
+    schema: previewSchema,
+    messages,
+  });
+}
+
+// Show the model its invalid output along with what was wrong with it
+function getRepairMessages(error) {
+  const messages = [];
+  if (error.text) {
+    messages.push({ role: "assistant", content: error.text });
+  }
+  messages.push({
+    role: "user",
+    type: "text",
+    content: getRepairPrompt({ error: error.cause?.message ?? error.message }),
+  });
+  return messages;
+}
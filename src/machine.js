@@ -5,11 +5,19 @@ import { handleRequestClarification } from "./states/requestClarification.js";
 import { handleUserResponse } from "./states/userResponse.js";
 import { handleExecuteCommand } from "./states/executeCommand.js";
 import { handleRefine } from "./states/refine.js";
+import { handleEdit } from "./states/edit.js";
 import { handleChangeModel } from "./states/changeModel.js";
+import { handleCompareModels } from "./states/compareModels.js";
+import { handlePreview } from "./states/preview.js";
 import { handleSaveScript } from "./states/saveScript.js";
 import { handleScriptSelection } from "./states/scriptSelection.js";
 import { handleSetup } from "./states/setup.js";
-import { clearScreen } from "./util.js";
+import { clearScreen, describeExecutionStatus } from "./util.js";
+import { saveSession } from "./sessions.js";
+import { formatCost, formatTokens } from "./usage.js";
+import { assessPlan, summarizePlan } from "./plan.js";
+import { Risk } from "./safety.js";
+import { resolveScriptLanguage } from "./languages.js";
 import chalk from "chalk";
 import { highlight } from "cli-highlight";
 
@@ -19,25 +27,61 @@ export const State = {
   USER_RESPONSE: "USER_RESPONSE",
   REQUEST_CLARIFICATION: "REQUEST_CLARIFICATION",
   EXECUTE_COMMAND: "EXECUTE_COMMAND",
+  PREVIEW: "PREVIEW",
   REFINE: "REFINE",
+  EDIT: "EDIT",
   CHANGE_MODEL: "CHANGE_MODEL",
+  COMPARE_MODELS: "COMPARE_MODELS",
   SAVE_SCRIPT: "SAVE_SCRIPT",
   SCRIPT_SELECTION: "SCRIPT_SELECTION",
   SETUP: "SETUP",
+  // Return to the state (and context) that led to the current one
+  BACK: "BACK",
   EXIT: "EXIT",
 };
 
+// Show each step of a plan with what it should achieve and its risk
+function displayPlan(plan, config) {
+  const { steps } = assessPlan(plan, config);
+
+  plan.steps.forEach((step, index) => {
+    const { level } = steps[index];
+    const risk =
+      level === Risk.NONE
+        ? ""
+        : (level === Risk.LOW ? chalk.yellow : chalk.red)(` [${level} risk]`);
+    log.text(chalk.cyan(`${index + 1}. ${step.description}`) + risk);
+    log.text(chalk.bold(`   ${step.command.trim()}`));
+    if (step.expected_outcome) {
+      log.detail(`   Expected: ${step.expected_outcome}`);
+    }
+  });
+}
+
 function displayPromptAndHistory(context) {
-  const { commandHistory, currentCommand, scriptName, scriptMode } = context;
+  const { commandHistory, currentCommand, scriptName, scriptMode, planMode } =
+    context;
 
   // Display the current model
   log.header("ai2cli");
   log.info("Model: " + context.model);
 
+  // Running token usage and cost for this session
+  if (context.sessionUsage?.calls) {
+    const { promptTokens, completionTokens, cost } = context.sessionUsage;
+    log.detail(
+      `Usage: ${formatTokens(promptTokens)} prompt + ${formatTokens(
+        completionTokens
+      )} completion tokens` + (cost ? ` (${formatCost(cost)})` : "")
+    );
+  }
+
   const originalCommand =
     commandHistory.length === 0 ? currentCommand : commandHistory[0];
   const originalRequest = originalCommand.existingScript
     ? `Refining script: ${scriptName}: ${originalCommand.request}`
+    : originalCommand.type === "explain"
+    ? `Explain: ${originalCommand.request}`
     : originalCommand.request;
 
   if (commandHistory.length === 0) {
@@ -48,7 +92,13 @@ function displayPromptAndHistory(context) {
 
     // Helper function to display responses and questions
     const displayResponseAndQuestion = (command) => {
-      if (command.response?.content) {
+      if (command.response?.steps) {
+        log.text(
+          chalk.gray("└─ ") +
+            chalk.green("Response: ") +
+            chalk.dim(summarizePlan(command.response))
+        );
+      } else if (command.response?.content) {
         log.text(
           chalk.gray("└─ ") +
             chalk.green("Response: ") +
@@ -82,9 +132,21 @@ function displayPromptAndHistory(context) {
     displayResponseAndQuestion(originalCommand);
 
     const printUserRequest = (command) => {
+      if (command.autoFixAttempt) {
+        const status = describeExecutionStatus(
+          command.previousExecutionResults
+        );
+        log.text(
+          chalk.magenta(`Auto-fix attempt ${command.autoFixAttempt}`) +
+            (status ? chalk.dim(` (${status})`) : "")
+        );
+        return;
+      }
       log.text(
         (command.type === "clarification"
           ? "User Answer: "
+          : command.type === "edit"
+          ? "User Edit: "
           : "User Refinement: ") + command.request
       );
     };
@@ -107,10 +169,15 @@ function displayPromptAndHistory(context) {
 
   log.header("LLM Response");
 
-  if (currentCommand?.response?.content) {
+  if (planMode && currentCommand?.response?.steps) {
+    displayPlan(currentCommand.response, context.config);
+  } else if (currentCommand?.response?.content) {
     if (scriptMode) {
       const highlightedCode = highlight(currentCommand.response.content, {
-        language: "javascript",
+        language: resolveScriptLanguage(
+          currentCommand.response,
+          context.scriptLanguage
+        ),
       });
       log.text(highlightedCode);
     } else {
@@ -126,6 +193,8 @@ export async function runStateMachine(
 ) {
   let currentState = initialState;
   let context = initialContext;
+  let previousState = null;
+  let previousContext = null;
 
   while (currentState !== State.EXIT) {
     let result;
@@ -151,12 +220,21 @@ export async function runStateMachine(
       case State.EXECUTE_COMMAND:
         result = await handleExecuteCommand(context);
         break;
+      case State.PREVIEW:
+        result = await handlePreview(context);
+        break;
       case State.REFINE:
         result = await handleRefine(context);
         break;
+      case State.EDIT:
+        result = await handleEdit(context);
+        break;
       case State.CHANGE_MODEL:
         result = await handleChangeModel(context);
         break;
+      case State.COMPARE_MODELS:
+        result = await handleCompareModels(context);
+        break;
       case State.SAVE_SCRIPT:
         result = await handleSaveScript(context);
         break;
@@ -171,8 +249,27 @@ export async function runStateMachine(
         return;
     }
 
+    if (result.nextState === State.BACK) {
+      // Nothing meaningful to go back to, so start over
+      const canGoBack = previousState && previousState !== State.SETUP;
+      currentState = canGoBack ? previousState : State.NEW;
+      context = canGoBack ? previousContext : context;
+      previousState = null;
+      previousContext = null;
+      continue;
+    }
+
     // Update state and context
+    previousState = currentState;
+    previousContext = context;
     currentState = result.nextState;
     context = { ...context, ...result.context };
+
+    // Persist the session so it can be resumed later
+    try {
+      await saveSession(context);
+    } catch (error) {
+      log.warning(`Failed to save session: ${error.message}`);
+    }
   }
 }
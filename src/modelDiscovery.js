@@ -0,0 +1,160 @@
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { OPENAI_COMPATIBLE, providerModels } from "./models.js";
+
+const DISCOVERY_TIMEOUT = 3000;
+const DEFAULT_CACHE_HOURS = 24;
+
+// Model listing endpoints used when the provider has no baseURL configured
+const defaultBaseURLs = {
+  openai: "https://api.openai.com/v1",
+  anthropic: "https://api.anthropic.com/v1",
+  google: "https://generativelanguage.googleapis.com/v1beta",
+  deepseek: "https://api.deepseek.com/v1",
+  groq: "https://api.groq.com/openai/v1",
+  mistral: "https://api.mistral.ai/v1",
+  xai: "https://api.x.ai/v1",
+  ollama: "http://localhost:11434/api",
+};
+
+// Listed models that can't be used to generate commands
+const nonChatModelPattern =
+  /embed|tts|whisper|dall-e|moderation|transcribe|audio|realtime|image|search|guard/i;
+
+async function fetchJSON(url, headers = {}) {
+  const response = await fetch(url, {
+    headers,
+    signal: AbortSignal.timeout(DISCOVERY_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+// Query the model listing endpoint of a provider
+export async function fetchProviderModels(provider, providerConfig = {}) {
+  const { apiKey, headers = {} } = providerConfig;
+  const baseURL = (
+    providerConfig.baseURL ||
+    defaultBaseURLs[provider] ||
+    ""
+  ).replace(/\/+$/, "");
+
+  let models;
+
+  if (provider === "ollama") {
+    const data = await fetchJSON(`${baseURL}/tags`, headers);
+    models = data.models.map((model) => model.name);
+  } else if (provider === "anthropic") {
+    const data = await fetchJSON(`${baseURL}/models?limit=1000`, {
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+      ...headers,
+    });
+    models = data.data.map((model) => model.id);
+  } else if (provider === "google") {
+    const data = await fetchJSON(
+      `${baseURL}/models?pageSize=1000&key=${encodeURIComponent(apiKey)}`,
+      headers
+    );
+    models = data.models
+      .filter((model) =>
+        model.supportedGenerationMethods?.includes("generateContent")
+      )
+      .map((model) => model.name.replace(/^models\//, ""));
+  } else {
+    // OpenAI and every OpenAI-compatible API share the same listing format
+    const data = await fetchJSON(`${baseURL}/models`, {
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      ...headers,
+    });
+    models = data.data.map((model) => model.id);
+  }
+
+  return models.filter((model) => !nonChatModelPattern.test(model)).sort();
+}
+
+function getCachePath(config) {
+  const cacheDir = config?.cacheDir ?? path.join(os.homedir(), ".ai2cli-cache");
+  return path.join(cacheDir, "models.json");
+}
+
+async function readCache(config) {
+  try {
+    return JSON.parse(await fs.readFile(getCachePath(config), "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Pending cache updates, so that providers discovered at the same time
+// don't overwrite each other's entries
+let cacheUpdates = Promise.resolve();
+
+// Store one entry, merged into the cache as it is on disk right before the
+// write
+function updateCache(config, cacheKey, entry) {
+  cacheUpdates = cacheUpdates.then(async () => {
+    const cachePath = getCachePath(config);
+    try {
+      const cache = await readCache(config);
+      cache[cacheKey] = entry;
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      await fs.writeFile(cachePath, JSON.stringify(cache, null, 2));
+    } catch (error) {
+      // The cache is only an optimisation
+    }
+  });
+  return cacheUpdates;
+}
+
+// Ollama and local OpenAI-compatible servers can be queried without a key
+function canQuery(provider, providerConfig) {
+  return (
+    provider === "ollama" ||
+    providerConfig?.type === OPENAI_COMPATIBLE ||
+    Boolean(providerConfig?.apiKey)
+  );
+}
+
+// Get the models available for a provider. Results are cached for
+// config.modelCacheHours and the static providerModels list is used when
+// the provider can't be reached. Resolves with { models, source }.
+export async function discoverModels(
+  config,
+  provider,
+  providerConfig = config?.providers?.[provider],
+  { refresh = false } = {}
+) {
+  const staticModels = providerModels[provider] ?? [];
+
+  if (!canQuery(provider, providerConfig)) {
+    return { models: staticModels, source: "static" };
+  }
+
+  const cacheKey = `${provider}:${providerConfig?.baseURL ?? ""}`;
+  const cacheHours = config?.modelCacheHours ?? DEFAULT_CACHE_HOURS;
+  const cached = (await readCache(config))[cacheKey];
+  const isFresh =
+    cached && Date.now() - cached.fetchedAt < cacheHours * 60 * 60 * 1000;
+
+  if (isFresh && !refresh) {
+    return { models: cached.models, source: "cache" };
+  }
+
+  try {
+    const models = await fetchProviderModels(provider, providerConfig);
+    await updateCache(config, cacheKey, { fetchedAt: Date.now(), models });
+    return { models, source: "remote" };
+  } catch (error) {
+    // Offline or unreachable, a stale cache is still better than nothing
+    if (cached) {
+      return { models: cached.models, source: "cache" };
+    }
+    return { models: staticModels, source: "static" };
+  }
+}
@@ -64,6 +64,23 @@ export const validProviders = [
   "xai",
 ];
 
+// Provider type for user-defined endpoints that speak the OpenAI API
+export const OPENAI_COMPATIBLE = "openai-compatible";
+
+// Split a "provider/modelName" string. Only the first slash separates the
+// provider so model names like "meta-llama/Llama-3-8B" stay intact.
+export const parseModelString = (model) => {
+  const separatorIndex = model.indexOf("/");
+  if (separatorIndex === -1) {
+    return { provider: model, modelName: "" };
+  }
+
+  return {
+    provider: model.slice(0, separatorIndex),
+    modelName: model.slice(separatorIndex + 1),
+  };
+};
+
 const verifyAPIKey = (apiKey, provider) => {
   // Skip verification for Ollama as it doesn't require an API key
   if (provider === "ollama") return;
@@ -76,9 +93,9 @@ const verifyAPIKey = (apiKey, provider) => {
   }
 };
 
-export const getModel = ({ model, apiKey, baseURL }) => {
+export const getModel = ({ model, apiKey, baseURL, headers, type }) => {
   // Parse provider and model name from the format: provider/modelName
-  const [provider, modelName] = model.split("/");
+  const { provider, modelName } = parseModelString(model);
 
   if (!provider || !modelName) {
     console.error(
@@ -90,6 +107,19 @@ export const getModel = ({ model, apiKey, baseURL }) => {
   // Use the actual model name for the API
   const actualModel = modelName;
 
+  // User-defined providers go through the OpenAI client in compatible mode
+  if (type === OPENAI_COMPATIBLE) {
+    return createOpenAI({
+      name: provider,
+      // Local servers often need no key, an empty one keeps the client
+      // from falling back to OPENAI_API_KEY
+      apiKey: apiKey ?? "",
+      baseURL,
+      headers,
+      compatibility: "compatible",
+    });
+  }
+
   // Create the appropriate model client based on the provider
   switch (provider) {
   case "google":
@@ -98,6 +128,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "openai":
@@ -106,6 +137,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "anthropic":
@@ -114,6 +146,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "deepseek":
@@ -122,6 +155,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "groq":
@@ -130,6 +164,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "mistral":
@@ -138,6 +173,7 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "xai":
@@ -146,12 +182,14 @@ export const getModel = ({ model, apiKey, baseURL }) => {
       model: actualModel,
       apiKey,
       baseURL,
+      headers,
     });
 
   case "ollama":
     return createOllama({
       model: actualModel,
       baseURL: baseURL || "http://localhost:11434/api",
+      headers,
     });
 
   default:
@@ -0,0 +1,159 @@
+// Which part of a command's output is sent to the model when refining
+export const OutputSlice = {
+  // The first and last lines, with error lines from the middle
+  COMPACT: "compact",
+  HEAD: "head",
+  TAIL: "tail",
+  ERRORS: "errors",
+  FULL: "full",
+  NONE: "none",
+};
+
+const DEFAULT_OPTIONS = {
+  headLines: 20,
+  tailLines: 40,
+  maxErrorLines: 20,
+  maxLength: 8000,
+};
+
+// Lines that usually explain why a command failed
+const errorLinePattern =
+  /\b(error|errors|failed|failure|fatal|exception|panic|traceback|denied|cannot|can't|not found|no such file|undefined reference|segmentation fault)\b/i;
+
+function getOptions(config) {
+  return { ...DEFAULT_OPTIONS, ...config?.output };
+}
+
+function splitLines(text) {
+  const lines = text.split("\n");
+  // A trailing newline doesn't start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+export function countLines(text) {
+  return splitLines(text).length;
+}
+
+// Collapse runs of identical lines (progress output, retry loops) into one
+export function dedupeLines(lines) {
+  const result = [];
+  let index = 0;
+  while (index < lines.length) {
+    let end = index + 1;
+    while (end < lines.length && lines[end] === lines[index]) end++;
+
+    result.push(lines[index]);
+    const repeats = end - index - 1;
+    if (repeats > 0) {
+      result.push(
+        `[previous line repeated ${repeats} more time${repeats > 1 ? "s" : ""}]`
+      );
+    }
+    index = end;
+  }
+  return result;
+}
+
+export function extractErrorLines(lines, maxErrorLines) {
+  const errorLines = [
+    ...new Set(lines.filter((line) => errorLinePattern.test(line))),
+  ];
+  return errorLines.slice(-maxErrorLines);
+}
+
+// Keep the start and end of text that is still too long, e.g. one huge line
+function limitLength(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const half = Math.floor(maxLength / 2);
+  return (
+    text.substring(0, half) +
+    `\n[... ${text.length - 2 * half} characters omitted ...]\n` +
+    text.substring(text.length - half)
+  );
+}
+
+// The first and last lines of the output with repeated lines collapsed and
+// anything that looks like an error kept from the lines in between
+export function compactOutput(text, config) {
+  const { headLines, tailLines, maxErrorLines, maxLength } = getOptions(config);
+  const lines = dedupeLines(splitLines(text));
+
+  if (lines.length <= headLines + tailLines) {
+    return limitLength(lines.join("\n"), maxLength);
+  }
+
+  const middle = lines.slice(headLines, lines.length - tailLines);
+  const errorLines = extractErrorLines(middle, maxErrorLines);
+  const omitted = errorLines.length
+    ? [
+        `[... ${middle.length} lines omitted, these look like errors: ...]`,
+        ...errorLines,
+        "[...]",
+      ]
+    : [`[... ${middle.length} lines omitted ...]`];
+
+  return limitLength(
+    [
+      ...lines.slice(0, headLines),
+      ...omitted,
+      ...lines.slice(lines.length - tailLines),
+    ].join("\n"),
+    maxLength
+  );
+}
+
+// Whether compacting would drop anything from the output
+export function isCompacted(text, config) {
+  return compactOutput(text, config) !== text.replace(/\n$/, "");
+}
+
+// Pick one slice of the output. HEAD and TAIL get as many lines as the
+// compacted view, FULL is sent as it is.
+export function sliceOutput(text, slice, config) {
+  const { headLines, tailLines, maxErrorLines, maxLength } = getOptions(config);
+  const lines = dedupeLines(splitLines(text));
+  const lineCount = headLines + tailLines;
+
+  switch (slice) {
+    case OutputSlice.HEAD:
+      return limitLength(lines.slice(0, lineCount).join("\n"), maxLength);
+    case OutputSlice.TAIL:
+      return limitLength(
+        lines.slice(Math.max(lines.length - lineCount, 0)).join("\n"),
+        maxLength
+      );
+    case OutputSlice.ERRORS:
+      return limitLength(
+        extractErrorLines(lines, maxErrorLines).join("\n"),
+        maxLength
+      );
+    case OutputSlice.FULL:
+      return text;
+    case OutputSlice.NONE:
+      return "";
+    default:
+      return compactOutput(text, config);
+  }
+}
+
+// How the slice is introduced to the model and listed for the user
+export function describeSlice(slice, config) {
+  const { headLines, tailLines } = getOptions(config);
+
+  switch (slice) {
+    case OutputSlice.HEAD:
+      return `the first ${headLines + tailLines} lines`;
+    case OutputSlice.TAIL:
+      return `the last ${headLines + tailLines} lines`;
+    case OutputSlice.ERRORS:
+      return "only the lines that look like errors";
+    case OutputSlice.FULL:
+      return "the full output";
+    case OutputSlice.NONE:
+      return "no output";
+    default:
+      return `the first ${headLines} and last ${tailLines} lines with the errors in between`;
+  }
+}
@@ -0,0 +1,38 @@
+import { assessCommand, compareRisk, Risk } from "./safety.js";
+
+// Check a single step the same way as a generated command
+export function assessStep(step, config) {
+  return assessCommand(
+    { content: step.command, destructive: step.destructive },
+    config
+  );
+}
+
+// Check every step of a plan. Returns the highest risk level and the
+// analysis of each step.
+export function assessPlan(plan, config) {
+  const steps = (plan?.steps ?? []).map((step) => assessStep(step, config));
+  const level = steps.reduce(
+    (highest, safety) =>
+      compareRisk(safety.level, highest) > 0 ? safety.level : highest,
+    Risk.NONE
+  );
+  return { level, steps };
+}
+
+// The plan as shell lines, each step preceded by its description
+export function formatPlanAsShell(plan) {
+  return (plan?.steps ?? [])
+    .map(
+      (step, index) => `# ${index + 1}. ${step.description}\n${step.command}`
+    )
+    .join("\n\n");
+}
+
+// One line summary for history listings
+export function summarizePlan(plan) {
+  const count = plan?.steps?.length ?? 0;
+  return `[Plan, ${count} step${count === 1 ? "" : "s"}] ${
+    plan?.explanation ?? ""
+  }`.trim();
+}
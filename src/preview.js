@@ -0,0 +1,197 @@
+import {
+  analyzeCommand,
+  basename,
+  getFlags,
+  getOperands,
+  parseCommand,
+  Risk,
+  unwrapCommand,
+} from "./safety.js";
+
+const plainWordPattern = /^[\w@%+=:,./~$-]+$/;
+const globWordPattern = /^[\w@%+=:,./~$*?[\]{}-]+$/;
+
+// Quote a word for the shell, leaving ~, variables and (optionally) globs
+// to expand
+function quoteArg(arg, expandGlobs = true) {
+  if ((expandGlobs ? globWordPattern : plainWordPattern).test(arg)) return arg;
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+function listPaths(paths, recursive) {
+  if (paths.length === 0 || paths.some((path) => path.startsWith("-"))) {
+    return null;
+  }
+  const quoted = paths.map((path) => quoteArg(path)).join(" ");
+  return recursive ? `find ${quoted}` : `ls -d -- ${quoted}`;
+}
+
+// Build a read-only variant for the common file-modifying commands without
+// asking the model. Returns { content, explanation } or null when the
+// command isn't one of them.
+export function getLocalPreview(command) {
+  let parsed;
+  try {
+    parsed = parseCommand(command);
+  } catch (error) {
+    return null;
+  }
+
+  // Only single commands without substitutions are translated locally
+  const { segments, substitutions } = parsed;
+  if (segments.length !== 1 || substitutions.length > 0) return null;
+  if (segments[0].redirects.length > 0) return null;
+
+  const { words } = unwrapCommand(segments[0].words);
+  const name = basename(words[0] ?? "");
+  const args = words.slice(1);
+  const flags = getFlags(args);
+  const operands = getOperands(args);
+  const recursive =
+    flags.has("-r") || flags.has("-R") || flags.has("--recursive");
+
+  let content = null;
+  let explanation;
+
+  if (name === "rm") {
+    content = listPaths(operands, recursive);
+    explanation = "Files and directories that would be deleted";
+  } else if (["rmdir", "shred", "truncate", "unlink"].includes(name)) {
+    // The size given to truncate isn't a path
+    const paths =
+      name === "truncate"
+        ? getOperands(
+            args.filter(
+              (arg, index) =>
+                !/^(-s|--size)/.test(arg) &&
+                !/^(-s|--size)$/.test(args[index - 1] ?? "")
+            )
+          )
+        : operands;
+    content = listPaths(paths, false);
+    explanation = "Files that would be changed or removed";
+  } else if (name === "mv" && operands.length > 1) {
+    content = listPaths(operands.slice(0, -1), false);
+    explanation = `Files that would be moved to ${
+      operands[operands.length - 1]
+    }`;
+  } else if (
+    ["chmod", "chown", "chgrp"].includes(name) &&
+    operands.length > 1
+  ) {
+    content = listPaths(operands.slice(1), recursive);
+    explanation = "Files whose ownership or permissions would change";
+  } else if (name === "find") {
+    // Drop the action that deletes and print the matches instead
+    const execIndex = args.findIndex(
+      (arg, index) =>
+        ["-exec", "-execdir", "-ok"].includes(arg) &&
+        ["rm", "shred"].includes(basename(args[index + 1] ?? ""))
+    );
+    let previewArgs = args;
+    if (execIndex !== -1) {
+      const end = args.findIndex(
+        (arg, index) => index > execIndex && (arg === ";" || arg === "+")
+      );
+      if (end === -1) return null;
+      previewArgs = [...args.slice(0, execIndex), ...args.slice(end + 1)];
+    } else if (args.includes("-delete")) {
+      previewArgs = args.filter((arg) => arg !== "-delete");
+    } else {
+      return null;
+    }
+    // find matches its own patterns, the shell must not expand them
+    content = [
+      "find",
+      ...previewArgs.map((arg) => quoteArg(arg, false)),
+      "-print",
+    ].join(" ");
+    explanation = "Files that would be deleted";
+  }
+
+  if (!content) return null;
+
+  // Never run a "preview" that itself does more than read
+  if (!isReadOnly(content)) return null;
+
+  return { content, explanation };
+}
+
+// Commands that can only read, the preview may not use anything else
+const readOnlyCommands = new Set([
+  "ls",
+  "find",
+  "grep",
+  "egrep",
+  "fgrep",
+  "rg",
+  "cat",
+  "head",
+  "tail",
+  "wc",
+  "sort",
+  "cut",
+  "tr",
+  "stat",
+  "du",
+  "file",
+  "echo",
+  "printf",
+  "realpath",
+  "readlink",
+  "basename",
+  "dirname",
+  "diff",
+  "comm",
+  "jq",
+  "test",
+  "true",
+]);
+
+// find actions that write files or run other commands
+const findWriteActions = /^-(delete|fprint0?|fprintf|fls|ok|okdir)$/;
+
+function isReadOnlySegment({ words, redirects }) {
+  const writes = redirects.some(
+    ({ operator, target }) =>
+      !["<", "<<", "<<<"].includes(operator) &&
+      !(operator === ">&" && /^(\d+|-)$/.test(target)) &&
+      target !== "/dev/null"
+  );
+  if (writes) return false;
+
+  const { words: command, privileged } = unwrapCommand(words);
+  const name = basename(command[0] ?? "");
+  const args = command.slice(1);
+  if (privileged || !readOnlyCommands.has(name)) return false;
+
+  if (name === "sort" && args.some((arg) => /^(-o|--output)/.test(arg))) {
+    return false;
+  }
+  if (name === "find") {
+    return args.every(
+      (arg, index) =>
+        !findWriteActions.test(arg) &&
+        (!["-exec", "-execdir"].includes(arg) ||
+          (readOnlyCommands.has(basename(args[index + 1] ?? "")) &&
+            basename(args[index + 1]) !== "find"))
+    );
+  }
+  return true;
+}
+
+// A preview must only read from the filesystem
+export function isReadOnly(command) {
+  let parsed;
+  try {
+    parsed = parseCommand(command);
+  } catch (error) {
+    return false;
+  }
+
+  return (
+    analyzeCommand(command).level === Risk.NONE &&
+    parsed.segments.every(isReadOnlySegment) &&
+    parsed.substitutions.every(isReadOnly)
+  );
+}
@@ -0,0 +1,127 @@
+import chalk from "chalk";
+import { generateResponse } from "./llm.js";
+import { SpendingLimitError } from "./usage.js";
+import { assessCommand, compareRisk, Risk } from "./safety.js";
+import { assessPlan, formatPlanAsShell } from "./plan.js";
+import { getItemType } from "./util.js";
+
+// Exit codes used by the non-interactive print mode
+export const ExitCode = {
+  SUCCESS: 0,
+  ERROR: 1,
+  CLARIFICATION_NEEDED: 2,
+  DESTRUCTIVE: 3,
+  PROVIDER_ERROR: 4,
+  SPENDING_LIMIT: 5,
+};
+
+// Read the whole of stdin when it is piped into ai2cli
+export async function readStdin() {
+  if (process.stdin.isTTY) return "";
+
+  let input = "";
+  process.stdin.setEncoding("utf8");
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+
+  return input.trim();
+}
+
+// Diagnostics go to stderr so stdout only ever holds the generated output
+function printWarning(message) {
+  process.stderr.write(chalk.yellow(message) + "\n");
+}
+
+// Run a single generation without the interactive state machine and
+// write the result to stdout. Resolves with the process exit code.
+export async function runPrintMode(context) {
+  const { options, scriptMode, planMode } = context;
+  const itemType = getItemType(context);
+
+  let result;
+  try {
+    let model;
+    ({ result, model } = await generateResponse(context, {
+      onStatus: printWarning,
+    }));
+
+    if (model !== context.model) {
+      printWarning(`Generated with fallback model ${model}`);
+    }
+  } catch (error) {
+    process.stderr.write(
+      chalk.red(`Error generating ${itemType}: ${error.message}`) + "\n"
+    );
+    return error instanceof SpendingLimitError
+      ? ExitCode.SPENDING_LIMIT
+      : ExitCode.PROVIDER_ERROR;
+  }
+
+  if (!result) {
+    process.stderr.write(chalk.red(`Failed to generate a ${itemType}.`) + "\n");
+    return ExitCode.PROVIDER_ERROR;
+  }
+
+  // Scripts aren't shell commands, commands and every step of a plan go
+  // through the safety check
+  const safety = scriptMode
+    ? null
+    : planMode
+    ? assessPlan(result, context.config)
+    : assessCommand(result, context.config);
+
+  if (options.json) {
+    const output = !safety
+      ? result
+      : planMode
+      ? {
+          ...result,
+          steps: result.steps.map((step, index) => ({
+            ...step,
+            safety: {
+              level: safety.steps[index].level,
+              findings: safety.steps[index].findings,
+            },
+          })),
+          safety: { level: safety.level },
+        }
+      : {
+          ...result,
+          safety: { level: safety.level, findings: safety.findings },
+        };
+    process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+  } else if (planMode) {
+    process.stdout.write(formatPlanAsShell(result) + "\n");
+  } else {
+    process.stdout.write(result.content.trim() + "\n");
+  }
+
+  if (result.clarification_needed && result.clarification_needed.trim()) {
+    if (!options.json) {
+      printWarning(`Clarification needed: ${result.clarification_needed}`);
+    }
+    return ExitCode.CLARIFICATION_NEEDED;
+  }
+
+  if (safety && compareRisk(safety.level, Risk.MEDIUM) >= 0) {
+    if (!options.json) {
+      if (result.destructive) {
+        printWarning("This command may modify or delete existing files.");
+      }
+      if (result.caution) {
+        printWarning("Caution: " + result.caution);
+      }
+      printWarning(`Safety check: ${safety.level} risk`);
+      const findings = planMode
+        ? safety.steps.flatMap((step) => step.findings)
+        : safety.findings;
+      findings.forEach(({ message, text }) =>
+        printWarning(`  - ${message} (${text})`)
+      );
+    }
+    return ExitCode.DESTRUCTIVE;
+  }
+
+  return ExitCode.SUCCESS;
+}
@@ -1,4 +1,6 @@
 import { z } from "zod";
+import { getScriptLanguage, ScriptLanguage } from "./languages.js";
+import { describeExecutionStatus } from "./util.js";
 
 // Command Mode schema
 export const commandSchema = z.object({
@@ -68,12 +70,30 @@ export const scriptSchema = z.object({
       })
     )
     .describe("List of parameters the script accepts. Example: [{name: 'dir', description: 'Directory to process', required: true}, {name: 'output', description: 'Output file path', required: false, defaultValue: './output'}]"),
+  language: z
+    .enum(Object.values(ScriptLanguage))
+    .describe("The language the script is written in"),
   content: z
     .string()
     .describe(
-      "The complete JavaScript code for index.js that can be run as-is"
+      "The complete source code of the script's entry file that can be run as-is"
+    ),
+  dependencies: z
+    .array(
+      z.object({
+        name: z
+          .string()
+          .describe("Package name exactly as it is published on npm or PyPI"),
+        version: z
+          .string()
+          .describe(
+            "Version range the script was written against, e.g. ^5.3.0 for npm or >=2.31,<3 for PyPI"
+          ),
+      })
+    )
+    .describe(
+      "Packages to install: npm packages for javascript, PyPI packages for python, empty for typescript and bash"
     ),
-  dependencies: z.string().describe("comma-separated list of npm packages"),
   changelog: z
     .string()
     .describe(
@@ -86,6 +106,69 @@ export const scriptSchema = z.object({
     ),
 });
 
+// Plan Mode schema - an ordered sequence of commands run one at a time
+export const planSchema = z.object({
+  thinking: z.string().describe("Your step-by-step reasoning process"),
+  explanation: z
+    .string()
+    .describe("Brief explanation of what the plan achieves"),
+  steps: z
+    .array(
+      z.object({
+        description: z.string().describe("What this step does and why"),
+        command: z
+          .string()
+          .describe("The command for this step that can be executed directly"),
+        destructive: z
+          .boolean()
+          .describe(
+            "Boolean value (true/false) indicating if this step could delete/modify files or system settings"
+          ),
+        expected_outcome: z
+          .string()
+          .describe(
+            "What the user should see or what should be true once this step succeeded"
+          ),
+      })
+    )
+    .describe("The steps in the order they have to run"),
+  caution: z
+    .string()
+    .describe(
+      "Warning for plans requiring special attention. If no special attention is required leave this blank."
+    ),
+  changelog: z
+    .string()
+    .describe(
+      "A summary of changes made during refinement. Only populate this field when refining a previous plan based on user feedback or clarification."
+    ),
+  clarification_needed: z
+    .string()
+    .describe(
+      "Detailed explanation of what information is missing or ambiguous. If no clarification is needed leave this blank."
+    ),
+});
+
+// Preview schema - a read-only variant of a command
+export const previewSchema = z.object({
+  thinking: z.string().describe("Your step-by-step reasoning process"),
+  previewable: z
+    .boolean()
+    .describe(
+      "Boolean value (true/false) indicating if a read-only preview of the command is possible"
+    ),
+  content: z
+    .string()
+    .describe(
+      "A read-only command that lists every file or path the original command would create, modify, move or delete, one per line. Leave blank if no preview is possible."
+    ),
+  explanation: z
+    .string()
+    .describe(
+      "Brief explanation of what the preview lists, or why no preview is possible"
+    ),
+});
+
 const getSystemContextPrompt = (systemInfo) => `
  ## SYSTEM CONTEXT
   The following system information is available to help you generate appropriate commands:
@@ -181,6 +264,17 @@ const scriptExamples = [
   `,
 ];
 
+const planExamples = [
+  `### Example 1: Set up a project
+  USER QUERY: "Create a new git repository in ./site, add a README and make the first commit"
+  EXPECTED OUTPUT: Generate an object with explanation and three steps (create the directory and run git init, write the README, commit), each with its own command, destructive flag and expected outcome.
+  `,
+  `### Example 2: Ambiguous request
+  USER QUERY: "Deploy my app"
+  EXPECTED OUTPUT: Generate an object with explanation, a reasonable default list of steps, and clarification_needed details.
+  `,
+];
+
 export const getClarificationPrompt = ({ request }) => {
   return `I'm providing the following details that were previously missing from my initial request.
   ${request}
@@ -191,13 +285,103 @@ export const getClarificationPrompt = ({ request }) => {
   `;
 };
 
-export const getRefinementPrompt = ({ existingScript, request, executionResults }) => {
+// Lay out a command run for the model: how it ended, then each stream
+const formatExecutionResults = (executionResults) => {
+  // Results saved by older versions only have the combined output
+  if (executionResults.exitCode === undefined) {
+    return executionResults.output;
+  }
+
+  const sections = [`Status: ${describeExecutionStatus(executionResults)}`];
+  if (executionResults.startError) {
+    sections.push(`Error: ${executionResults.startError}`);
+  }
+  if (executionResults.sliceDescription) {
+    // The user picked which part of the combined output to send
+    sections.push(
+      executionResults.output
+        ? `Output (${executionResults.sliceDescription}, out of ${executionResults.outputLines} lines, stdout and stderr combined):\n${executionResults.output}`
+        : "Output: not included"
+    );
+  } else if (executionResults.pty) {
+    sections.push(
+      `Output (stdout and stderr combined, it ran in a terminal):\n${
+        executionResults.output.trim() || "<empty>"
+      }`
+    );
+  } else {
+    sections.push(`Stdout:\n${executionResults.stdout.trim() || "<empty>"}`);
+    sections.push(`Stderr:\n${executionResults.stderr.trim() || "<empty>"}`);
+  }
+  if (executionResults.compacted && !executionResults.sliceDescription) {
+    sections.push(
+      "The output was long, so repeated lines were collapsed and only its start, its end and the error lines in between are included."
+    );
+  }
+  if (executionResults.planProgress) {
+    sections.push(
+      `Plan progress:\n${executionResults.planProgress
+        .map(({ step, command, status }) => `${step}. ${command} - ${status}`)
+        .join("\n")}`
+    );
+  }
+  if (executionResults.sandboxChanges) {
+    sections.push(
+      `Filesystem changes when run in a sandbox:\n${executionResults.sandboxChanges}`
+    );
+  }
+  return sections.join("\n\n");
+};
+
+// What a saved script's manifest records about it, for refining the script
+const formatScriptManifest = (manifest) => {
+  const sections = [
+    `The script was generated for this request: ${manifest.request}`,
+  ];
+  if (manifest.explanation) {
+    sections.push(`What it does: ${manifest.explanation}`);
+  }
+  if (manifest.parameters?.length) {
+    sections.push(
+      "Its parameters:\n" +
+        manifest.parameters
+          .map(
+            (param) =>
+              `- ${param.name}: ${param.description}${
+                param.required ? " (required)" : ""
+              }`
+          )
+          .join("\n")
+    );
+  }
+  const changes = (manifest.history ?? []).filter((entry) => entry.changelog);
+  if (changes.length) {
+    sections.push(
+      "Changes made to it so far:\n" +
+        changes.map((entry) => `- ${entry.changelog}`).join("\n")
+    );
+  }
+  return sections.join("\n\n");
+};
+
+export const getRefinementPrompt = ({ existingScript, manifest, request, executionResults }) => {
   if (existingScript) {
     return `Refine the following script: ${existingScript} based on on the following request: ${request}
-
+${manifest ? `\n${formatScriptManifest(manifest)}\n` : ""}
 When refining, make sure to include a changelog that summarizes the changes you've made to the original script.`;
+  } else if (executionResults?.failedStep) {
+    const { step, command } = executionResults.failedStep;
+    return `We ran the plan and step ${step} (${command}) failed with these results:
+${formatExecutionResults(executionResults)}
+
+The steps before it succeeded and must not be run again. Return a plan with only the remaining steps, starting with one that fixes or works around the failure. Please refine based on the following request: ${request}
+
+When refining, make sure to include a changelog that summarizes the changes you've made to the original plan.`;
   } else if (executionResults) {
-    return `We ran it and got these results: ${executionResults}. Please refine based on the following request: ${request}
+    return `We ran it and got these results:
+${formatExecutionResults(executionResults)}
+
+Please refine based on the following request: ${request}
 
 When refining, make sure to include a changelog that summarizes the changes you've made to the original command or script.`;
   }
@@ -208,37 +392,106 @@ When refining, make sure to include a changelog that summarizes the changes you'
 When refining, make sure to include a changelog that summarizes the changes you've made to the original command or script.`;
 };
 
-export const getScriptPrompt = ({ systemInfo }) => {
-  return `## SCRIPT MODE - JAVASCRIPT SCRIPT GENERATION
+export const getEditPrompt = ({ content }) => {
+  return `I edited your previous response by hand. This is the new version:
+${content}
 
-  You are a specialized script generator that generates JavaScript scripts to handle a single task.
+Use it as the starting point for any further changes and keep my edits unless I ask otherwise.`;
+};
+
+export const getRepairPrompt = ({ error }) => {
+  return `Your previous response could not be used because it did not match the required structured output format.
+  The problem was: ${error}
+  Respond again with a single valid JSON object that contains every required field with the correct type.
+  Do not change the command or script itself unless it was the cause of the problem.
+  `;
+};
+
+export const getPlanPrompt = ({ systemInfo }) => {
+  return `# CLI Plan Generator
+
+  ## CORE FUNCTION
+  You are a specialized command line assistant that turns natural language into a plan: an ordered list of terminal commands that are run one at a time.
   Your name is ai2cli.
-  You are generating a complete JavaScript program to handle a single task.
-  You are an expert at writing small and quick utility programs in Node.js. 
-  You're job is not only to generate a script but to also find missing details with the users request and ask for clarification 
-  As an expert programmer your top priority is to ensure that you're fulling the users request to their exact specifications.
-  If the user fails to provide enough information you must ask for clarification while giving them the best possible guess at what they wan
-  t.
+  The user reviews each step before it runs, and the plan stops at the first step that fails.
+  If the user fails to provide enough information you must ask for clarification while giving them the best possible guess at what they want.
+  Your primary objectives are to:
+  - Break the request into small steps that each do one thing and can be checked on their own
+  - Generate accurate, concise commands compatible with the user's operating system and shell
+  - Prioritize safety while maintaining effectiveness
+  - Leverage the user's system information to create optimized commands
+
+  - Each step is a single command line that can be run in the shell immediately. Do not chain unrelated work into one step with && or ;
+  - Every step runs in a new shell in the current directory, so cd, variables and exports don't carry over to the next step. Use absolute or relative paths instead.
+  - Do not generate any python, javascript, or other language code. THIS IS VERY IMPORTANT.
+
+  ## STRUCTURED OUTPUT FORMAT
+  You are required to generate a structured JSON object with the following fields:
+  - thinking: (optional) Your step-by-step reasoning process
+  - explanation: Brief explanation of what the plan achieves
+  - steps: Array of objects in the order they have to run, each with:
+    - description: What this step does and why
+    - command: The command for this step that can be executed directly
+    - destructive: Boolean value (true/false) indicating if this step could delete/modify existing files or system settings
+    - expected_outcome: What the user should see or what should be true once this step succeeded
+  - caution: (optional) Warning for plans that modify the file system in any way
+  - changelog: When refining a previous plan based on user feedback, clarification or a failed step, provide a concise summary of the changes you've made from the original plan.
+  - clarification_needed: (optional) Detailed explanation of what information is missing or ambiguous
+
+  ${clarificationPrompt}
+
+  ${thinkingPrompt}
+
+  ## SAFETY GUIDELINES
+  - Mark a step as destructive (true) if it removes, overwrites or significantly modifies files/directories, uses sudo, or makes system-wide configuration changes
+  - Put steps that only inspect the system (checks, listings, dry runs) before the steps that change it where that helps the user decide
+  - Never generate commands that intentionally create security vulnerabilities or could cause widespread system damage
+
+  ## EXAMPLES
+
+  ${planExamples.join("\n")}
+
+  ${priorityPrompt}
+  ${getSystemContextPrompt(systemInfo)}
+
+  Based on the operating system (${systemInfo.operatingSystem}) and shell (${
+    systemInfo.shell
+  }), ensure every command is compatible.
+`;
+};
+
+export const getExplainPrompt = ({ command }) => {
+  return `Explain the following existing command to me:
+  ${command}
+  Return the command exactly as it is in content, don't fix or improve it unless I ask you to.
+  Describe what it does as a whole in explanation and break it down into every command, option, argument, pipe and redirection it uses in breakdown.
+  Set destructive if running it could modify or delete existing files, and use caution for anything else that could go wrong when it runs.
+  Leave changelog and clarification_needed empty and set should_be_script to false.
+  `;
+};
+
+export const getPreviewPrompt = ({ command }) => {
+  return `Before running the following command I want to preview what it would change:
+  ${command}
+  Generate a read-only variant of it that lists every file or path the command would create, modify, move or delete, one per line.
+  For example list the files an rm, mv or chmod would touch, or the files a sed -i would change.
+  The preview must not modify anything: no rm, mv, cp, sed -i, redirections into files, sudo or network access.
+  If the command can't be previewed this way set previewable to false and explain why.
+  `;
+};
+
+// Rules and libraries for each script language
+const scriptLanguagePrompts = {
+  [ScriptLanguage.JAVASCRIPT]: `
+  ## NODE.JS SCRIPTS
   Ensure that your scripts are written for a node environment. This will not execute in the browser.
-  You are familiar with all the common libraries and know when to use them.
-  - Create a well-structured program that accomplishes the user's request
-  - Create a short 3-4 word script name in kebab-case format (like "text-file-analyzer" or "system-backup-tool")
-  - The program will be saved as index.js in the configured scripts directory
+  - The program will be saved as index.js and run with node
   - ALWAYS use ESM imports (import x from 'y') and NEVER use CommonJS (require())
   - Include all necessary imports and dependencies at the top of the file
   - Make proper use of async/await for any asynchronous operations
-  - Create a clean, maintainable, and well-commented solution
-  - The script should be user-friendly with appropriate error handling
-  - List all external npm dependencies that need to be installed
-  - If your script needs command-line parameters:
-    - Set hasParameters: true in your response
-    - Define parameter objects with name, description, required properties
-    - Include defaultValue for parameters where appropriate
-    - Include helpful parameter validation and usage examples
-    - Remember to handle both required parameters and default values in your code
+  - Read parameters from process.argv
+  - List all external npm dependencies that need to be installed, each with the version range you wrote the script against (e.g. ^5.3.0)
 
-  ${clarificationPrompt}
-  
   ## COMMON LIBRARIES
   When possible, use these common libraries:
   - fs/promises - Use for all file system operations with a cleaner Promise-based API
@@ -255,14 +508,90 @@ export const getScriptPrompt = ({ systemInfo }) => {
   - when asked to draw a chart or some graphical outout make sure to use a library compatible with cli
 
   The script must be standalone and runnable with Node.js.
-  
+  `,
+  [ScriptLanguage.TYPESCRIPT]: `
+  ## DENO TYPESCRIPT SCRIPTS
+  - The program will be saved as main.ts and run with deno run --allow-all
+  - Write TypeScript and add types where they make the code clearer
+  - Use Deno's built-in APIs (Deno.readTextFile, Deno.writeTextFile, Deno.Command, fetch) and top-level await
+  - Import the standard library with jsr: specifiers (e.g. import { parseArgs } from "jsr:@std/cli/parse-args")
+  - Import npm packages with npm: specifiers (e.g. import chalk from "npm:chalk@5")
+  - Read parameters from Deno.args
+  - Deno downloads imports on the first run, so leave dependencies empty
+
+  The script must be standalone and runnable with Deno.
+  `,
+  [ScriptLanguage.PYTHON]: `
+  ## PYTHON SCRIPTS
+  - The program will be saved as main.py and run with Python 3
+  - Prefer the standard library (pathlib, argparse, subprocess, shutil, json, csv, datetime)
+  - Read parameters with argparse
+  - Put the program in a main() function that runs under if __name__ == "__main__"
+  - List all PyPI packages that need to be installed, each with a version specifier (e.g. >=2.31,<3). They are installed into a virtual environment next to the script.
+
+  ## COMMON LIBRARIES
+  When possible, use these common libraries:
+  - requests - Use to make HTTP requests
+  - rich - Use to add colored text, tables and progress bars to terminal output
+  - beautifulsoup4 to parse html
+  - python-dateutil - Use for complex date parsing and arithmetic
+  - pyyaml - Use to read and write YAML files
+
+  The script must be standalone and runnable with Python 3.
+  `,
+  [ScriptLanguage.BASH]: `
+  ## BASH SCRIPTS
+  - The program will be saved as script.sh and run with bash
+  - Start the script with #!/usr/bin/env bash and set -euo pipefail
+  - Quote every variable expansion
+  - Read parameters from "$@" with a case statement
+  - Only use commands that are installed on the user's system. Nothing gets installed, so leave dependencies empty.
+  - Check that the commands the script needs exist with command -v and print a helpful error when one is missing
+
+  The script must be standalone and runnable with bash.
+  `,
+};
+
+export const getScriptPrompt = ({
+  systemInfo,
+  language = ScriptLanguage.JAVASCRIPT,
+}) => {
+  const { label, entryFile } = getScriptLanguage(language);
+  return `## SCRIPT MODE - ${label.toUpperCase()} SCRIPT GENERATION
+
+  You are a specialized script generator that generates ${label} scripts to handle a single task.
+  Your name is ai2cli.
+  You are generating a complete ${label} program to handle a single task.
+  You are an expert at writing small and quick utility programs in ${label}. 
+  You're job is not only to generate a script but to also find missing details with the users request and ask for clarification 
+  As an expert programmer your top priority is to ensure that you're fulling the users request to their exact specifications.
+  If the user fails to provide enough information you must ask for clarification while giving them the best possible guess at what they wan
+  t.
+  You are familiar with all the common libraries and know when to use them.
+  - Write the script in ${label} and set language to "${language}"
+  - Create a well-structured program that accomplishes the user's request
+  - Create a short 3-4 word script name in kebab-case format (like "text-file-analyzer" or "system-backup-tool")
+  - The program will be saved in the configured scripts directory
+  - Create a clean, maintainable, and well-commented solution
+  - The script should be user-friendly with appropriate error handling
+  - If your script needs command-line parameters:
+    - Set hasParameters: true in your response
+    - Parameters are passed as --name="value"
+    - Define parameter objects with name, description, required properties
+    - Include defaultValue for parameters where appropriate
+    - Include helpful parameter validation and usage examples
+    - Remember to handle both required parameters and default values in your code
+
+  ${clarificationPrompt}
+  ${scriptLanguagePrompts[language]}
   ## STRUCTURED OUTPUT FORMAT
   You are required to generate a structured JSON object with the following fields:
   - thinking: (optional) Your step-by-step reasoning process
   - explanation: Brief explanation of what the script does
   - script_name: Short 3-4 word kebab-cased name describing the script's function
-  - content: The complete JavaScript code for index.js that can be run as-is
-  - dependencies: comma-separated list of npm packages
+  - language: "${language}"
+  - content: The complete ${label} code for ${entryFile} that can be run as-is
+  - dependencies: the packages to install, as described above, each with its name and version range. Only use packages you know are published under exactly that name, and only version ranges: no git, URL or file references.
   - changelog: When refining a previous script based on user feedback or clarification, provide a concise summary of the changes you've made from the original script.
   - clarification_needed: (optional) Detailed explanation of what information is missing or ambiguous
 
@@ -325,7 +654,6 @@ export const getCommandPrompt = ({ systemInfo }) => {
     - The command would be extremely long or difficult to understand as a single line
   - caution: (optional) Warning for commands that modify the file system in any way, Either by creating or deleting / modifying files.
     - Only caution if the command will modify the file system in any way. If it doesn't then leave this blank.
-    - if the command can only run in interactive mode then include a caution how it won't output anything if ran directly by ai2cli.
   - changelog: When refining a previous command based on user feedback or clarification, provide a concise summary of the changes you've made from the original command.
   - clarification_needed: (optional) Detailed explanation of what information is missing or ambiguous
   - breakdown: Array of objects, each with:
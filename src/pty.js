@@ -0,0 +1,130 @@
+import { spawn } from "child_process";
+import { clearTimeout, setTimeout } from "timers";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  cleanTerminalOutput,
+  execAsync,
+  platform,
+  shellQuote,
+} from "./util.js";
+
+// BSD script (macOS) takes the log file first and the command as arguments,
+// util-linux script takes the command with -c
+const isBsdScript = platform === "darwin" || platform.endsWith("bsd");
+
+// Time a command gets to exit after SIGTERM before it is killed
+const KILL_GRACE_MS = 5000;
+
+let scriptAvailable = null;
+
+// Commands run in a pseudo-terminal through script(1), which needs both
+// ends of ai2cli to be a terminal
+export async function isPtyAvailable(config) {
+  if (config?.execution?.pty === false) return false;
+  if (!process.stdin.isTTY || !process.stdout.isTTY) return false;
+
+  if (scriptAvailable === null) {
+    try {
+      await execAsync("command -v script", { timeout: 5000 });
+      scriptAvailable = true;
+    } catch (error) {
+      scriptAvailable = false;
+    }
+  }
+  return scriptAvailable;
+}
+
+// script(1) frames the recording with start and end lines
+function stripScriptFrame(text) {
+  return text
+    .replace(/^Script started on .*\r?\n/, "")
+    .replace(/\r?\n?Script done on .*\r?\n?$/, "");
+}
+
+// Stop the command and everything it started, which share the process
+// group the shell in the terminal leads. Whatever ignores SIGTERM and the
+// hangup when script exits is killed after a grace period, even once script
+// itself is gone.
+async function stopCommand(childProcess, pidFile) {
+  const pid = Number(await fs.readFile(pidFile, "utf8").catch(() => 0));
+  const signalCommand = (signal) => {
+    try {
+      if (pid) process.kill(-pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+    childProcess.kill(signal);
+  };
+
+  signalCommand("SIGTERM");
+  setTimeout(() => signalCommand("SIGKILL"), KILL_GRACE_MS);
+}
+
+// Run a shell command line in a pseudo-terminal attached to ai2cli's own
+// terminal, so interactive programs work, while recording its output.
+// Resolves with { output, exitCode, signal, timedOut } where output is plain
+// text. With timeoutMs the command is stopped once it runs that long.
+export async function runInPty(commandLine, { cwd, timeoutMs } = {}) {
+  const logDir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-pty-"));
+  const logFile = path.join(logDir, "output");
+  const pidFile = path.join(logDir, "pid");
+
+  // The shell script starts leads the session and process group of the
+  // terminal, and records its pid so the whole group can be stopped
+  const shellLine = [
+    "echo $$ >",
+    shellQuote(pidFile),
+    "&& exec /bin/sh -c",
+    shellQuote(commandLine),
+  ].join(" ");
+  const args = isBsdScript
+    ? ["-q", logFile, "/bin/sh", "-c", shellLine]
+    : ["-q", "-f", "-e", "-c", shellLine, logFile];
+
+  try {
+    let timedOut = false;
+    const { exitCode, signal } = await new Promise((resolve, reject) => {
+      const childProcess = spawn("script", args, {
+        stdio: "inherit",
+        cwd,
+        // util-linux script runs the command with $SHELL
+        env: { ...process.env, SHELL: "/bin/sh" },
+      });
+
+      // Stop the command once it runs too long
+      const timer = timeoutMs
+        ? setTimeout(() => {
+            timedOut = true;
+            stopCommand(childProcess, pidFile);
+          }, timeoutMs)
+        : null;
+
+      childProcess.on("close", (code, signal) => {
+        clearTimeout(timer);
+        resolve({ exitCode: code, signal });
+      });
+      childProcess.on("error", (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start command: ${err.message}`));
+      });
+    });
+
+    let recording = "";
+    try {
+      recording = await fs.readFile(logFile, "utf8");
+    } catch (error) {
+      // Nothing was recorded
+    }
+
+    return {
+      output: cleanTerminalOutput(stripScriptFrame(recording)),
+      exitCode,
+      signal,
+      timedOut,
+    };
+  } finally {
+    await fs.rm(logDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,718 @@
+// Local safety analysis of generated shell commands. The model reports its
+// own `destructive` flag, but that can't be trusted on its own, so every
+// command is also parsed and checked against a fixed set of rules here.
+
+export const Risk = {
+  NONE: "none",
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+  // Matches one of the user's deny rules and can't be executed
+  BLOCKED: "blocked",
+};
+
+const riskOrder = [Risk.NONE, Risk.LOW, Risk.MEDIUM, Risk.HIGH, Risk.BLOCKED];
+
+export function compareRisk(a, b) {
+  return riskOrder.indexOf(a) - riskOrder.indexOf(b);
+}
+
+function maxRisk(levels) {
+  return levels.reduce(
+    (max, level) => (compareRisk(level, max) > 0 ? level : max),
+    Risk.NONE
+  );
+}
+
+// Commands that only change how the next word is run, with the options
+// that take a separate value
+const wrapperCommands = {
+  sudo: ["-u", "-g", "-C", "-p", "-h"],
+  doas: ["-u", "-C"],
+  env: ["-u", "-C"],
+  nohup: [],
+  time: [],
+  nice: ["-n"],
+  ionice: ["-c", "-n", "-p"],
+  exec: ["-a"],
+  command: [],
+  builtin: [],
+  xargs: ["-n", "-I", "-P", "-L", "-d", "-s", "-E"],
+  watch: ["-n", "-d"],
+  timeout: ["-s", "-k"],
+};
+// Reserved words that come before the command they apply to, and those that
+// start a loop or case header rather than a command
+const shellKeywords = new Set([
+  "!",
+  "if",
+  "then",
+  "else",
+  "elif",
+  "fi",
+  "do",
+  "done",
+  "while",
+  "until",
+  "esac",
+]);
+const headerKeywords = new Set(["for", "select", "case", "function"]);
+const privilegeCommands = new Set(["sudo", "doas", "su", "pkexec"]);
+const downloaderCommands = new Set(["curl", "wget", "fetch"]);
+const interpreterPattern =
+  /^(sh|bash|zsh|dash|ksh|fish|python[\d.]*|perl|ruby|node|php)$/;
+const diskCommandPattern =
+  /^(mkfs(\.\w+)?|mke2fs|mkswap|wipefs|fdisk|sfdisk|cfdisk|gdisk|sgdisk|parted)$/;
+
+// Locations where a stray write can break the system
+const systemPathPattern =
+  /^\/(etc|boot|usr|bin|sbin|lib|lib32|lib64|opt|sys|proc|var\/lib)(\/|$)/;
+const devicePathPattern = /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk|md|mapper)/;
+const harmlessDevicePattern =
+  /^\/dev\/(null|zero|stdout|stderr|stdin|tty|fd\/)/;
+// Targets whose recursive removal wipes out far more than intended
+const broadTargetPattern =
+  /^(\/|\/\*|~\/?\*?|\$HOME\/?\*?|\$\{HOME\}\/?\*?|\*|\.\/?\*?|\.\.\/?|\/[^/]+\/?)$/;
+
+const forkBombPattern =
+  /(\w+|:)\s*\(\)\s*\{[^}]*\1\s*\|\s*\1\s*&[^}]*\}\s*;?\s*\1/;
+
+// Split a command line into words, operators and redirections. Subshell and
+// group brackets are operators too. Command and process substitutions are
+// collected separately so they can be analyzed as commands of their own.
+function tokenize(command) {
+  const tokens = [];
+  const substitutions = [];
+  let word = null;
+  let i = 0;
+
+  const pushWord = () => {
+    if (word !== null) tokens.push({ type: "word", value: word });
+    word = null;
+  };
+
+  // Read up to the bracket closing a $( or <( substitution
+  const readSubstitution = (start) => {
+    let depth = 1;
+    let j = start;
+    let quote = null;
+    while (j < command.length && depth > 0) {
+      const char = command[j];
+      if (quote) {
+        if (char === quote) quote = null;
+        else if (char === "\\" && quote === '"') j++;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth--;
+      }
+      j++;
+    }
+    if (depth > 0) throw new Error("Unterminated substitution");
+    substitutions.push(command.slice(start, j - 1));
+    return j;
+  };
+
+  const readBacktick = (start) => {
+    const end = command.indexOf("`", start);
+    if (end === -1) throw new Error("Unterminated backtick");
+    substitutions.push(command.slice(start, end));
+    return end + 1;
+  };
+
+  while (i < command.length) {
+    const char = command[i];
+    const rest = command.slice(i);
+
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) throw new Error("Unterminated quote");
+      word = (word ?? "") + command.slice(i + 1, end);
+      i = end + 1;
+    } else if (char === '"') {
+      let value = "";
+      let j = i + 1;
+      while (j < command.length && command[j] !== '"') {
+        if (command[j] === "\\" && j + 1 < command.length) {
+          value += command[j + 1];
+          j += 2;
+        } else if (command.startsWith("$(", j)) {
+          const end = readSubstitution(j + 2);
+          value += command.slice(j, end);
+          j = end;
+        } else if (command[j] === "`") {
+          const end = readBacktick(j + 1);
+          value += command.slice(j, end);
+          j = end;
+        } else {
+          value += command[j];
+          j++;
+        }
+      }
+      if (j >= command.length) throw new Error("Unterminated quote");
+      word = (word ?? "") + value;
+      i = j + 1;
+    } else if (char === "\\") {
+      // A backslash-newline continues the line
+      if (command[i + 1] !== "\n") word = (word ?? "") + (command[i + 1] ?? "");
+      i += 2;
+    } else if (rest.startsWith("$(") || /^[<>]\(/.test(rest)) {
+      const end = readSubstitution(i + 2);
+      word = (word ?? "") + command.slice(i, end);
+      i = end;
+    } else if (char === "`") {
+      const end = readBacktick(i + 1);
+      word = (word ?? "") + command.slice(i, end);
+      i = end;
+    } else if (char === "#" && word === null) {
+      // Comment until the end of the line
+      const end = command.indexOf("\n", i);
+      i = end === -1 ? command.length : end;
+    } else if (/\s/.test(char) && char !== "\n") {
+      pushWord();
+      i++;
+    } else if (
+      word === null &&
+      ((char === "{" && /^\{(\s|$)/.test(rest)) ||
+        (char === "}" && /^\}([\s;&|)]|$)/.test(rest)))
+    ) {
+      // { and } only group commands as words of their own, unlike {} or ${x}
+      tokens.push({ type: "operator", value: char });
+      i++;
+    } else {
+      const operator = rest.match(/^(\|\||&&|\|&|;;|[|;&\n()])/);
+      const redirect = rest.match(/^(\d*|&)(>>|>\||>&|<<<|<<|<>|>|<)/);
+
+      if (redirect) {
+        // A leading number belongs to the redirection (2>file)
+        if (/^\d+$/.test(word ?? "")) word = null;
+        pushWord();
+        tokens.push({ type: "redirect", value: redirect[2] });
+        i += redirect[0].length;
+      } else if (operator) {
+        pushWord();
+        tokens.push({ type: "operator", value: operator[0] });
+        i += operator[0].length;
+      } else {
+        word = (word ?? "") + char;
+        i++;
+      }
+    }
+  }
+  pushWord();
+
+  return { tokens, substitutions };
+}
+
+// Group tokens into simple commands. Commands joined by pipes share a
+// pipeline number so rules can look at what a command's output feeds into.
+// Brackets end a command but leave the pipeline as it is, so in
+// `cat x | (sh)` sh still reads the output of cat.
+function parseSegments(tokens) {
+  const segments = [];
+  let pipeline = 0;
+  let current = null;
+
+  const start = () => {
+    current = { words: [], redirects: [], pipeline };
+    segments.push(current);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === "operator") {
+      current = null;
+      if (!["|", "|&", "(", ")", "{", "}"].includes(token.value)) pipeline++;
+    } else {
+      if (!current) start();
+      if (token.type === "redirect") {
+        const target = tokens[i + 1];
+        if (target?.type === "word") {
+          current.redirects.push({
+            operator: token.value,
+            target: target.value,
+          });
+          i++;
+        }
+      } else {
+        current.words.push(token.value);
+      }
+    }
+  }
+
+  return segments.filter(
+    (segment) => segment.words.length > 0 || segment.redirects.length > 0
+  );
+}
+
+export function basename(word) {
+  return word.split("/").pop();
+}
+
+// Parse a command line into simple commands and the command substitutions
+// it contains. Throws when the command can't be parsed.
+export function parseCommand(command) {
+  const { tokens, substitutions } = tokenize(command);
+  return { segments: parseSegments(tokens), substitutions };
+}
+
+// Strip shell keywords and wrappers such as sudo, env and xargs to find the
+// program that runs. Returns the remaining words and whether root privileges
+// are used. Loop and case headers don't run a program.
+export function unwrapCommand(words) {
+  let index = 0;
+  let privileged = false;
+
+  while (index < words.length) {
+    const word = words[index];
+    const name = basename(word);
+
+    if (shellKeywords.has(word)) {
+      index++;
+    } else if (headerKeywords.has(word)) {
+      return { words: [], privileged };
+    } else if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+      index++;
+    } else if (Object.hasOwn(wrapperCommands, name)) {
+      if (privilegeCommands.has(name)) privileged = true;
+      index++;
+      // Skip the wrapper's own options (and a timeout duration)
+      while (index < words.length && words[index].startsWith("-")) {
+        index += wrapperCommands[name].includes(words[index]) ? 2 : 1;
+      }
+      if (name === "timeout" && /^\d/.test(words[index] ?? "")) index++;
+    } else {
+      break;
+    }
+  }
+
+  return { words: words.slice(index), privileged };
+}
+
+// Split "-rf" style options into single letters, keeping --long options
+export function getFlags(args) {
+  const flags = new Set();
+  for (const arg of args) {
+    if (arg === "--") break;
+    if (arg.startsWith("--")) flags.add(arg);
+    else if (/^-[A-Za-z]+$/.test(arg)) {
+      arg
+        .slice(1)
+        .split("")
+        .forEach((flag) => flags.add(`-${flag}`));
+    }
+  }
+  return flags;
+}
+
+export function getOperands(args) {
+  const separator = args.indexOf("--");
+  if (separator !== -1) return args.slice(separator + 1);
+  return args.filter((arg) => !arg.startsWith("-"));
+}
+
+// Whether an interpreter runs its standard input, rather than a script file
+// or the program given with an option such as sh -c, python -m or node -e
+function readsProgramFromStdin(name, args) {
+  if (/sh$/.test(name) && args.includes("-s")) return true;
+  const programFlags = /sh$/.test(name)
+    ? "c"
+    : /^python/.test(name)
+    ? "cm"
+    : "epr";
+  return !args.some(
+    (arg) =>
+      !arg.startsWith("-") ||
+      /^--(eval|print|command)/.test(arg) ||
+      (/^-[A-Za-z]+$/.test(arg) &&
+        [...programFlags].some((flag) => arg.includes(flag)))
+  );
+}
+
+function isSystemPath(target) {
+  return (
+    systemPathPattern.test(target) ||
+    (devicePathPattern.test(target) && !harmlessDevicePattern.test(target))
+  );
+}
+
+// Each rule inspects one simple command and returns its findings
+const rules = [
+  function checkPrivileges({ name, privileged }) {
+    if (privileged || privilegeCommands.has(name)) {
+      return [[Risk.MEDIUM, "Runs with root privileges"]];
+    }
+  },
+
+  function checkRemove({ name, args }) {
+    if (!["rm", "rmdir", "unlink", "srm"].includes(name)) return;
+    const flags = getFlags(args);
+    const targets = getOperands(args);
+    const recursive =
+      flags.has("-r") || flags.has("-R") || flags.has("--recursive");
+    const force = flags.has("-f") || flags.has("--force");
+
+    if (flags.has("--no-preserve-root")) {
+      return [[Risk.HIGH, "Disables the protection against deleting /"]];
+    }
+    if (
+      recursive &&
+      targets.some((target) => broadTargetPattern.test(target))
+    ) {
+      return [
+        [Risk.HIGH, "Recursively deletes a top-level, home or wildcard path"],
+      ];
+    }
+    if (targets.some(isSystemPath)) {
+      return [[Risk.HIGH, "Deletes files in a system directory"]];
+    }
+    if (recursive && force) {
+      return [[Risk.MEDIUM, "Recursively deletes files without confirmation"]];
+    }
+    return [[Risk.MEDIUM, "Deletes files"]];
+  },
+
+  function checkDiskTools({ name, args }) {
+    if (diskCommandPattern.test(name)) {
+      return [[Risk.HIGH, `${name} can erase or repartition a disk`]];
+    }
+    if (name === "dd") {
+      const output = args.find((arg) => arg.startsWith("of="));
+      if (output && isSystemPath(output.slice(3))) {
+        return [[Risk.HIGH, "dd writes directly to a device or system file"]];
+      }
+      return [[Risk.MEDIUM, "dd overwrites its output without confirmation"]];
+    }
+    if (name === "shred") {
+      return [[Risk.HIGH, "shred irrecoverably destroys file contents"]];
+    }
+  },
+
+  function checkPermissions({ name, args }) {
+    if (!["chmod", "chown", "chgrp"].includes(name)) return;
+    const flags = getFlags(args);
+    const recursive = flags.has("-R") || flags.has("--recursive");
+    const targets = getOperands(args).slice(1);
+    const findings = [];
+
+    if (targets.some((target) => isSystemPath(target) || target === "/")) {
+      findings.push([
+        Risk.HIGH,
+        `${name} changes ownership or permissions of system files`,
+      ]);
+    } else if (recursive) {
+      findings.push([
+        Risk.MEDIUM,
+        `${name} recursively changes ownership or permissions`,
+      ]);
+    }
+    if (
+      name === "chmod" &&
+      args.some((arg) => /^(0?777|a\+rwx|ugo\+rwx)$/.test(arg))
+    ) {
+      findings.push([Risk.MEDIUM, "Makes files writable by every user"]);
+    }
+    return findings;
+  },
+
+  function checkSystemWrites({ name, args, redirects }) {
+    const findings = [];
+    // Input redirections and descriptor copies (2>&1) don't write anything
+    const writes = redirects.filter(
+      ({ operator, target }) =>
+        !["<", "<<", "<<<"].includes(operator) &&
+        !(operator === ">&" && /^(\d+|-)$/.test(target))
+    );
+
+    for (const { target } of writes) {
+      if (isSystemPath(target)) {
+        findings.push([Risk.HIGH, `Writes to ${target}`]);
+      } else if (
+        !harmlessDevicePattern.test(target) &&
+        !target.startsWith("&")
+      ) {
+        findings.push([Risk.LOW, `Overwrites or appends to ${target}`]);
+      }
+    }
+
+    const operands = getOperands(args);
+    const destination = operands[operands.length - 1];
+    if (name === "tee") {
+      operands
+        .filter(isSystemPath)
+        .forEach((target) => findings.push([Risk.HIGH, `Writes to ${target}`]));
+    } else if (
+      ["cp", "mv", "ln", "install", "rsync"].includes(name) &&
+      operands.length > 1 &&
+      isSystemPath(destination)
+    ) {
+      findings.push([Risk.HIGH, `Writes to ${destination}`]);
+    } else if (
+      name === "sed" &&
+      getFlags(args).has("-i") &&
+      operands.some(isSystemPath)
+    ) {
+      findings.push([Risk.HIGH, "Edits system files in place"]);
+    }
+
+    return findings;
+  },
+
+  function checkRemoteExecution({
+    name,
+    args,
+    segment,
+    segments,
+    substitutions,
+  }) {
+    if (!interpreterPattern.test(name)) return;
+
+    const sources = segments
+      .filter(
+        (other) =>
+          other.pipeline === segment.pipeline &&
+          segments.indexOf(other) < segments.indexOf(segment)
+      )
+      .map((other) => basename(unwrapCommand(other.words).words[0] ?? ""));
+    // curl ... | sh
+    const piped = sources.some((source) => downloaderCommands.has(source));
+    // sh -c "$(curl ...)" and bash <(curl ...)
+    const substituted = args.some(
+      (arg) =>
+        /\$\(|<\(|`/.test(arg) &&
+        substitutions.some((text) =>
+          [...downloaderCommands].some((downloader) =>
+            new RegExp(`(^|[\\s|;&/])${downloader}\\s`).test(text)
+          )
+        )
+    );
+
+    if (piped || substituted) {
+      return [[Risk.HIGH, "Runs a script downloaded from the internet"]];
+    }
+    // cat x | sh runs whatever comes down the pipe, which can't be checked
+    if (sources.length > 0 && readsProgramFromStdin(name, args)) {
+      return [[Risk.HIGH, `Runs the commands piped into ${name}`]];
+    }
+  },
+
+  // Code passed on the command line can do anything, and only shell code is
+  // analyzed (see analyzeCommand)
+  function checkInlineCode({ name, args }) {
+    if (interpreterPattern.test(name) && !/sh$/.test(name)) {
+      // python -c, php -r, and -e for node, perl and ruby (also as in -pe)
+      const codeFlags = /^python/.test(name)
+        ? "c"
+        : name === "php"
+        ? "r"
+        : "eEp";
+      const inline = args.some(
+        (arg) =>
+          /^--(eval|print)/.test(arg) ||
+          (/^-[A-Za-z]+$/.test(arg) &&
+            [...codeFlags].some((flag) => arg.includes(flag)))
+      );
+      if (inline) {
+        return [[Risk.LOW, `Runs inline ${name} code that isn't checked`]];
+      }
+    }
+    if (
+      /^[gmn]?awk$/.test(name) &&
+      args.some((arg) => /system\s*\(|\|\s*"|>\s*"/.test(arg))
+    ) {
+      return [[Risk.LOW, "awk runs commands or writes files"]];
+    }
+    if (
+      name === "find" &&
+      args.some((arg) => ["-exec", "-execdir", "-ok", "-okdir"].includes(arg))
+    ) {
+      return [[Risk.LOW, "Runs a command for every file find matches"]];
+    }
+  },
+
+  function checkSystemControl({ name, args }) {
+    if (["shutdown", "reboot", "halt", "poweroff"].includes(name)) {
+      return [[Risk.HIGH, "Shuts down or restarts the machine"]];
+    }
+    if (name === "init" && ["0", "6"].includes(args[0])) {
+      return [[Risk.HIGH, "Shuts down or restarts the machine"]];
+    }
+    if (name === "kill" && args.includes("-1")) {
+      return [[Risk.HIGH, "Signals every process you own"]];
+    }
+    if (["killall", "pkill"].includes(name)) {
+      return [[Risk.MEDIUM, "Stops every process matching a name"]];
+    }
+    if (name === "crontab" && getFlags(args).has("-r")) {
+      return [[Risk.MEDIUM, "Removes your crontab"]];
+    }
+  },
+
+  function checkDataLoss({ name, args }) {
+    const [subcommand] = args;
+    const flags = getFlags(args);
+
+    // In-place edits of system files are reported by checkSystemWrites
+    if (
+      ["sed", "perl"].includes(name) &&
+      (flags.has("-i") || args.some((arg) => /^(-i|--in-place)/.test(arg))) &&
+      !getOperands(args).some(isSystemPath)
+    ) {
+      return [[Risk.MEDIUM, "Edits files in place"]];
+    }
+
+    if (
+      name === "find" &&
+      (args.includes("-delete") ||
+        args.some(
+          (arg, i) =>
+            arg === "-exec" &&
+            ["rm", "shred"].includes(basename(args[i + 1] ?? ""))
+        ))
+    ) {
+      return [[Risk.MEDIUM, "Deletes every file find matches"]];
+    }
+    if (name === "truncate") {
+      return [[Risk.MEDIUM, "Truncates files"]];
+    }
+    if (name === "git") {
+      if (subcommand === "reset" && flags.has("--hard")) {
+        return [[Risk.MEDIUM, "Discards uncommitted changes"]];
+      }
+      if (subcommand === "clean" && (flags.has("-f") || flags.has("--force"))) {
+        return [[Risk.MEDIUM, "Deletes untracked files"]];
+      }
+      if (
+        subcommand === "push" &&
+        (flags.has("-f") ||
+          flags.has("--force") ||
+          args.some(
+            (arg) => arg.startsWith("--force-with-lease") || arg.startsWith("+")
+          ))
+      ) {
+        return [[Risk.MEDIUM, "Overwrites remote history"]];
+      }
+    }
+    if (["docker", "podman"].includes(name) && args.includes("prune")) {
+      return [[Risk.MEDIUM, "Deletes containers, images or volumes"]];
+    }
+    if (name === "kubectl" && subcommand === "delete") {
+      return [[Risk.MEDIUM, "Deletes cluster resources"]];
+    }
+  },
+];
+
+function compilePatterns(patterns = []) {
+  return patterns.map((pattern) => new RegExp(pattern));
+}
+
+// Analyze a shell command with the built-in rules and the user's allow and
+// deny rules (config.safety). Returns the overall risk level and the
+// findings behind it.
+export function analyzeCommand(command, safetyConfig = {}) {
+  const allow = compilePatterns(safetyConfig.allow);
+  const deny = compilePatterns(safetyConfig.deny);
+  const findings = [];
+
+  const addFinding = (level, message, text) =>
+    findings.push({ level, message, text });
+
+  const analyze = (text, depth = 0) => {
+    let parsed;
+    try {
+      parsed = parseCommand(text);
+    } catch (error) {
+      addFinding(
+        Risk.MEDIUM,
+        `Could not be fully parsed (${error.message.toLowerCase()}), review it carefully`,
+        text
+      );
+      return;
+    }
+
+    const { segments } = parsed;
+    for (const segment of segments) {
+      const segmentText = [
+        ...segment.words,
+        ...segment.redirects.map(
+          ({ operator, target }) => `${operator} ${target}`
+        ),
+      ].join(" ");
+
+      if (deny.some((pattern) => pattern.test(segmentText))) {
+        addFinding(Risk.BLOCKED, "Matches one of your deny rules", segmentText);
+        continue;
+      }
+      if (allow.some((pattern) => pattern.test(segmentText))) continue;
+
+      const { words, privileged } = unwrapCommand(segment.words);
+      const input = {
+        name: basename(words[0] ?? ""),
+        args: words.slice(1),
+        privileged,
+        redirects: segment.redirects,
+        segment,
+        segments,
+        substitutions: parsed.substitutions,
+      };
+
+      for (const rule of rules) {
+        (rule(input) ?? []).forEach(([level, message]) =>
+          addFinding(level, message, segmentText)
+        );
+      }
+
+      // sh -c "..." and eval "..." run a command line of their own
+      if (depth >= 5) continue;
+      const commandIndex = words.findIndex((word) =>
+        /^-[A-Za-z]*c[A-Za-z]*$/.test(word)
+      );
+      if (input.name === "eval" && input.args.length > 0) {
+        analyze(input.args.join(" "), depth + 1);
+      } else if (
+        interpreterPattern.test(input.name) &&
+        /sh$/.test(input.name) &&
+        commandIndex !== -1 &&
+        words[commandIndex + 1]
+      ) {
+        analyze(words[commandIndex + 1], depth + 1);
+      }
+    }
+
+    if (depth < 5) {
+      parsed.substitutions.forEach((substitution) =>
+        analyze(substitution, depth + 1)
+      );
+    }
+  };
+
+  if (deny.some((pattern) => pattern.test(command))) {
+    addFinding(Risk.BLOCKED, "Matches one of your deny rules", command);
+  }
+  if (forkBombPattern.test(command)) {
+    addFinding(Risk.HIGH, "Fork bomb that exhausts system resources", command);
+  }
+  analyze(command);
+
+  return {
+    level: maxRisk(findings.map((finding) => finding.level)),
+    findings,
+  };
+}
+
+// Combine the model's own assessment with the local analysis. The higher of
+// the two wins, so a model that under-reports the risk is overridden.
+export function assessCommand(response, config) {
+  const analysis = analyzeCommand(response?.content ?? "", config?.safety);
+  const modelLevel = response?.destructive ? Risk.MEDIUM : Risk.NONE;
+
+  return {
+    ...analysis,
+    level: maxRisk([analysis.level, modelLevel]),
+    underReported:
+      compareRisk(analysis.level, modelLevel) > 0 &&
+      compareRisk(analysis.level, Risk.LOW) > 0,
+  };
+}
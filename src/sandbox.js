@@ -0,0 +1,226 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execAsync } from "./util.js";
+
+export const SandboxMethod = {
+  AUTO: "auto",
+  // The copy is mounted over the working directory and the rest of the
+  // filesystem is read-only
+  BWRAP: "bwrap",
+  // The copy is mounted over the working directory, other paths stay writable
+  UNSHARE: "unshare",
+  // The command runs inside the copy, absolute paths still reach the real files
+  COPY: "copy",
+};
+
+const DEFAULT_MAX_SIZE_MB = 200;
+
+async function isAvailable(command) {
+  try {
+    await execAsync(command, { timeout: 5000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Pick the strongest isolation this system supports
+async function detectMethod() {
+  if (await isAvailable("command -v bwrap")) {
+    return SandboxMethod.BWRAP;
+  }
+  // User namespaces can be disabled even when unshare is installed
+  if (await isAvailable("unshare --user --map-root-user --mount true")) {
+    return SandboxMethod.UNSHARE;
+  }
+  return SandboxMethod.COPY;
+}
+
+function isExcluded(name, exclude) {
+  return exclude.includes(name);
+}
+
+// Total size of a directory in bytes, skipping excluded entries. Stops
+// counting once the limit is passed so huge trees aren't walked in full.
+async function getDirectorySize(dir, exclude, limit) {
+  let size = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (isExcluded(entry.name, exclude)) continue;
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath, exclude, limit - size);
+    } else if (entry.isFile()) {
+      size += (await fs.stat(entryPath)).size;
+    }
+    if (size > limit) break;
+  }
+  return size;
+}
+
+// Record every path in a directory with a signature of its type, mode and
+// contents so two snapshots can be compared
+async function snapshot(root) {
+  const entries = new Map();
+
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      const relativePath = path.relative(root, entryPath);
+
+      if (entry.isSymbolicLink()) {
+        entries.set(relativePath, `link:${await fs.readlink(entryPath)}`);
+      } else if (entry.isDirectory()) {
+        const { mode } = await fs.stat(entryPath);
+        entries.set(relativePath + path.sep, `dir:${mode}`);
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const { mode } = await fs.stat(entryPath);
+        const hash = crypto
+          .createHash("sha1")
+          .update(await fs.readFile(entryPath))
+          .digest("hex");
+        entries.set(relativePath, `file:${mode}:${hash}`);
+      }
+    }
+  };
+
+  await walk(root);
+  return entries;
+}
+
+// Copy the working directory to a temporary directory and work out how to
+// run commands against the copy. Throws when the directory is larger than
+// sandbox.maxSizeMB.
+export async function createSandbox(config, cwd = process.cwd()) {
+  const {
+    method: configuredMethod = SandboxMethod.AUTO,
+    maxSizeMB = DEFAULT_MAX_SIZE_MB,
+    exclude = [],
+  } = config?.sandbox ?? {};
+
+  const limit = maxSizeMB * 1024 * 1024;
+  if ((await getDirectorySize(cwd, exclude, limit)) > limit) {
+    throw new Error(
+      `The current directory is larger than the ${maxSizeMB}MB sandbox limit. Raise sandbox.maxSizeMB or add large directories to sandbox.exclude in your ~/.ai2cli config.`
+    );
+  }
+
+  const method =
+    configuredMethod === SandboxMethod.AUTO
+      ? await detectMethod()
+      : configuredMethod;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-sandbox-"));
+  await fs.cp(cwd, dir, {
+    recursive: true,
+    verbatimSymlinks: true,
+    preserveTimestamps: true,
+    // The temp directory may itself be inside the working directory
+    filter: (source) =>
+      source !== dir && !isExcluded(path.basename(source), exclude),
+  });
+
+  let wrapper = null;
+  let runCwd = dir;
+  if (method === SandboxMethod.BWRAP) {
+    wrapper = [
+      "bwrap",
+      "--ro-bind",
+      "/",
+      "/",
+      "--dev",
+      "/dev",
+      "--proc",
+      "/proc",
+      "--tmpfs",
+      "/tmp",
+      "--bind",
+      dir,
+      cwd,
+      "--chdir",
+      cwd,
+      "--die-with-parent",
+      "/bin/sh",
+      "-c",
+    ];
+    runCwd = cwd;
+  } else if (method === SandboxMethod.UNSHARE) {
+    wrapper = [
+      "unshare",
+      "--user",
+      "--map-root-user",
+      "--mount",
+      "/bin/sh",
+      "-c",
+      'mount --bind "$1" "$2" && cd "$2" && exec /bin/sh -c "$3"',
+      "sh",
+      dir,
+      cwd,
+    ];
+    runCwd = cwd;
+  }
+
+  return { dir, method, wrapper, cwd: runCwd, before: await snapshot(dir) };
+}
+
+// Compare the sandbox with its state right after it was created.
+// Resolves with the created, modified and deleted paths.
+export async function diffSandbox(sandbox) {
+  const after = await snapshot(sandbox.dir);
+  const created = [];
+  const modified = [];
+  const deleted = [];
+
+  for (const [entryPath, signature] of after) {
+    if (!sandbox.before.has(entryPath)) created.push(entryPath);
+    else if (sandbox.before.get(entryPath) !== signature) {
+      modified.push(entryPath);
+    }
+  }
+  for (const entryPath of sandbox.before.keys()) {
+    if (!after.has(entryPath)) deleted.push(entryPath);
+  }
+
+  return {
+    created: collapseDirectories(created),
+    modified: modified.sort(),
+    deleted: collapseDirectories(deleted),
+  };
+}
+
+// A created or deleted directory stands for everything inside it
+function collapseDirectories(paths) {
+  const directories = paths.filter((entryPath) => entryPath.endsWith(path.sep));
+  return paths
+    .filter(
+      (entryPath) =>
+        !directories.some(
+          (directory) =>
+            entryPath !== directory && entryPath.startsWith(directory)
+        )
+    )
+    .sort();
+}
+
+export async function removeSandbox(sandbox) {
+  try {
+    await fs.rm(sandbox.dir, { recursive: true, force: true });
+  } catch (error) {
+    // Leftovers in the temp directory are cleaned up by the system
+  }
+}
+
+// Describe the changes as plain text for the model
+export function formatSandboxDiff({ created, modified, deleted }) {
+  if (created.length + modified.length + deleted.length === 0) {
+    return "No files were created, modified or deleted.";
+  }
+
+  return [
+    ...created.map((entryPath) => `created: ${entryPath}`),
+    ...modified.map((entryPath) => `modified: ${entryPath}`),
+    ...deleted.map((entryPath) => `deleted: ${entryPath}`),
+  ].join("\n");
+}
@@ -0,0 +1,517 @@
+import { createHash } from "crypto";
+import enquirer from "enquirer";
+import fs from "fs/promises";
+import path from "path";
+import log from "./log.js";
+import { getDependencyList } from "./dependencies.js";
+import {
+  getLanguageOfEntryFile,
+  getScriptExtension,
+  getScriptLanguage,
+  isScriptLanguage,
+  resolveScriptLanguage,
+  DEFAULT_SCRIPT_LANGUAGE,
+} from "./languages.js";
+import { findScriptEntry, getAvailableScripts, shellQuote } from "./util.js";
+
+const { Form, Input } = enquirer;
+
+// What a script was generated from, saved next to it
+const MANIFEST_FILE = "ai2cli.json";
+
+// Every saved version of a script is kept in here as <revision>.<extension>
+const REVISIONS_DIR = ".revisions";
+
+// Script names become directory names
+const scriptNamePattern = /^[a-z0-9][a-z0-9._-]*$/i;
+
+export function getScriptPaths(
+  config,
+  scriptName,
+  language = DEFAULT_SCRIPT_LANGUAGE
+) {
+  const scriptDir = path.join(config.scriptsDir, scriptName);
+  const { entryFile, dependencyFile } = getScriptLanguage(language);
+  return {
+    scriptDir,
+    scriptPath: path.join(scriptDir, entryFile),
+    dependencyPath: dependencyFile
+      ? path.join(scriptDir, dependencyFile)
+      : null,
+    packagePath: path.join(scriptDir, "package.json"),
+    manifestPath: path.join(scriptDir, MANIFEST_FILE),
+    revisionsDir: path.join(scriptDir, REVISIONS_DIR),
+  };
+}
+
+export function isValidScriptName(scriptName) {
+  return scriptNamePattern.test(scriptName);
+}
+
+// Find a saved script by its name or a unique name prefix. Resolves with
+// the name, or null when there is no single match.
+export async function findScript(config, scriptName) {
+  const scripts = await getAvailableScripts(config);
+  if (scripts.includes(scriptName)) return scriptName;
+
+  const matches = scripts.filter((script) => script.startsWith(scriptName));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// The language of a saved script, from its manifest or else its entry file
+export async function detectScriptLanguage(config, scriptName) {
+  const manifest = await readScriptManifest(config, scriptName);
+  if (isScriptLanguage(manifest?.language)) return manifest.language;
+
+  const entryPath = await findScriptEntry(
+    getScriptPaths(config, scriptName).scriptDir
+  );
+  return (
+    (entryPath && getLanguageOfEntryFile(path.basename(entryPath))) ??
+    DEFAULT_SCRIPT_LANGUAGE
+  );
+}
+
+// The paths of a saved script along with its language
+export async function getSavedScriptPaths(config, scriptName) {
+  const language = await detectScriptLanguage(config, scriptName);
+  return { ...getScriptPaths(config, scriptName, language), language };
+}
+
+// The dependencies listed in a script's package.json or requirements.txt
+export async function getScriptDependencies(config, scriptName) {
+  const { dependencyPath, language } = await getSavedScriptPaths(
+    config,
+    scriptName
+  );
+  if (!dependencyPath) return [];
+
+  try {
+    const content = await fs.readFile(dependencyPath, "utf8");
+    return getScriptLanguage(language).parseDependencies(content);
+  } catch (error) {
+    return [];
+  }
+}
+
+// The command line that runs a script. Python scripts with dependencies run
+// in the virtual environment they were installed into.
+export function getScriptRunCommand(
+  config,
+  scriptName,
+  language,
+  dependencies
+) {
+  const { scriptDir, scriptPath } = getScriptPaths(
+    config,
+    scriptName,
+    language
+  );
+  const { runner, environmentRunner } = getScriptLanguage(language);
+  const program =
+    environmentRunner && dependencies?.length > 0
+      ? shellQuote(path.join(scriptDir, environmentRunner))
+      : runner;
+  return `${program} ${shellQuote(scriptPath)}`;
+}
+
+// Write a script to a temporary directory to try it in the sandbox without
+// saving it. Nothing is installed: dependencies the saved script already has
+// are linked in, and without those the script runs without its packages.
+// The directory is outside the system temp directory, which bubblewrap
+// replaces with an empty one. Resolves with the directory, the command that
+// runs the script and whether its dependencies are available.
+export async function createTemporaryScript(
+  config,
+  scriptName,
+  content,
+  language,
+  dependencies
+) {
+  const { entryFile, installDir, runner, environmentRunner } =
+    getScriptLanguage(language);
+  await fs.mkdir(config.cacheDir, { recursive: true });
+  const dir = await fs.mkdtemp(path.join(config.cacheDir, "sandbox-script-"));
+  const scriptPath = path.join(dir, entryFile);
+  await fs.writeFile(scriptPath, content);
+
+  let installed = !installDir || dependencies.length === 0;
+  if (!installed) {
+    const { scriptDir } = getScriptPaths(config, scriptName, language);
+    try {
+      await fs.access(path.join(scriptDir, installDir));
+      await fs.symlink(
+        path.join(scriptDir, installDir),
+        path.join(dir, installDir)
+      );
+      installed = true;
+    } catch (error) {
+      // The saved script has no dependencies installed
+    }
+  }
+
+  const program =
+    environmentRunner && dependencies.length > 0 && installed
+      ? shellQuote(path.join(dir, environmentRunner))
+      : runner;
+  return { dir, command: `${program} ${shellQuote(scriptPath)}`, installed };
+}
+
+// Read a script's manifest. Resolves with null for scripts saved without
+// one.
+export async function readScriptManifest(config, scriptName) {
+  try {
+    const content = await fs.readFile(
+      getScriptPaths(config, scriptName).manifestPath,
+      "utf8"
+    );
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex").slice(0, 12);
+}
+
+export function getRevisionPath(config, scriptName, revision, language) {
+  return path.join(
+    getScriptPaths(config, scriptName).revisionsDir,
+    `${revision}${getScriptExtension(language)}`
+  );
+}
+
+async function saveManifest(config, scriptName, manifest) {
+  await fs.writeFile(
+    getScriptPaths(config, scriptName).manifestPath,
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+// Delete the entry file, dependency file, lockfile and installed packages of
+// a language from a script's directory, when the script switches to another
+// one. Left behind, an old index.js would be found before a new main.py.
+async function removeLanguageFiles(config, scriptName, language) {
+  const { scriptDir } = getScriptPaths(config, scriptName);
+  const { entryFile, dependencyFile, lockFile, installDir } =
+    getScriptLanguage(language);
+  for (const file of [entryFile, dependencyFile, lockFile, installDir]) {
+    if (!file) continue;
+    await fs.rm(path.join(scriptDir, file), { recursive: true, force: true });
+  }
+}
+
+// Keep a copy of the content as the next numbered revision, unless it is the
+// same as the latest one. Each revision records its language, which decides
+// the extension of its copy. Resolves with the manifest history including
+// the new revision, or null when nothing changed.
+async function addRevision(
+  config,
+  scriptName,
+  language,
+  manifest,
+  content,
+  entry
+) {
+  const history = manifest?.history ?? [];
+  const latest = history[history.length - 1];
+  const contentHash = hashContent(content);
+  if (latest?.contentHash === contentHash) return null;
+
+  // Manifests written before revisions were kept have history entries
+  // without a copy of the content
+  const revision = (latest?.revision ?? history.length) + 1;
+  await fs.mkdir(getScriptPaths(config, scriptName).revisionsDir, {
+    recursive: true,
+  });
+  await fs.writeFile(
+    getRevisionPath(config, scriptName, revision, language),
+    content
+  );
+
+  return [
+    ...history,
+    {
+      revision,
+      savedAt: new Date().toISOString(),
+      contentHash,
+      language,
+      ...entry,
+    },
+  ];
+}
+
+// The revisions of a script that can be restored, oldest first
+export function getRevisions(manifest) {
+  return (manifest?.history ?? []).filter((entry) => entry.revision);
+}
+
+// Record the saved script as a revision before it is overwritten, in case it
+// was edited outside ai2cli or saved before revisions were kept. When the
+// script is about to be saved in another language, the files of the old one
+// are removed once it is kept.
+export async function preserveSavedScript(config, scriptName, nextLanguage) {
+  const { scriptPath, language } = await getSavedScriptPaths(
+    config,
+    scriptName
+  );
+  let content;
+  try {
+    content = await fs.readFile(scriptPath, "utf8");
+  } catch (error) {
+    // Nothing saved yet
+    return;
+  }
+
+  const manifest = await readScriptManifest(config, scriptName);
+  const history = await addRevision(
+    config,
+    scriptName,
+    language,
+    manifest,
+    content,
+    {
+      request: "",
+      changelog: manifest
+        ? "Changed outside ai2cli"
+        : "Saved before revisions were kept",
+    }
+  );
+  if (history) {
+    await saveManifest(config, scriptName, {
+      ...manifest,
+      name: scriptName,
+      language,
+      updatedAt: new Date().toISOString(),
+      history,
+    });
+  }
+  if (nextLanguage && nextLanguage !== language) {
+    await removeLanguageFiles(config, scriptName, language);
+  }
+}
+
+// Record the request, explanation and parameters of the script that was
+// just saved. Each version that differs from the last one is kept as a
+// numbered revision, with the request and changelog that led to it in the
+// manifest's history.
+export async function writeScriptManifest(context) {
+  const { config, scriptName, currentCommand, commandHistory, model } = context;
+  const { response } = currentCommand;
+  const language = resolveScriptLanguage(response, context.scriptLanguage);
+  const existing = await readScriptManifest(config, scriptName);
+  const now = new Date().toISOString();
+
+  const history = await addRevision(
+    config,
+    scriptName,
+    language,
+    existing,
+    response.content,
+    {
+      request: currentCommand.request,
+      changelog: response.changelog || "",
+      model,
+    }
+  );
+
+  const manifest = {
+    name: scriptName,
+    // The request the script was first generated for
+    request: existing?.request ?? (commandHistory[0] ?? currentCommand).request,
+    language,
+    explanation: response.explanation ?? "",
+    dependencies: getDependencyList(response.dependencies),
+    hasParameters: Boolean(response.hasParameters),
+    parameters: response.parameters ?? [],
+    model,
+    sessionId: context.sessionId,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    history: history ?? existing?.history ?? [],
+  };
+
+  await saveManifest(config, scriptName, manifest);
+  return manifest;
+}
+
+// Restore an earlier revision of a script, by default the latest one that
+// differs from the saved script. The restored content becomes a new
+// revision, so rolling back can be undone. A revision in another language
+// replaces the files of the current one. Resolves with the revision that was
+// restored.
+export async function rollbackScript(config, scriptName, revision) {
+  await preserveSavedScript(config, scriptName);
+
+  const { language } = await getSavedScriptPaths(config, scriptName);
+  const manifest = await readScriptManifest(config, scriptName);
+  const revisions = getRevisions(manifest);
+  const current = revisions[revisions.length - 1];
+
+  const target =
+    revision === undefined
+      ? revisions
+          .filter((entry) => entry.contentHash !== current?.contentHash)
+          .pop()
+      : revisions.find((entry) => entry.revision === revision);
+  if (!target) {
+    throw new Error(
+      revision === undefined
+        ? "There is no earlier revision"
+        : `Revision ${revision} doesn't exist`
+    );
+  }
+
+  // Revisions kept before they recorded a language are in the current one
+  const targetLanguage = target.language ?? language;
+  const content = await fs.readFile(
+    getRevisionPath(config, scriptName, target.revision, targetLanguage),
+    "utf8"
+  );
+  const history = await addRevision(
+    config,
+    scriptName,
+    targetLanguage,
+    manifest,
+    content,
+    {
+      request: "",
+      changelog: `Rolled back to revision ${target.revision}`,
+    }
+  );
+  if (!history) {
+    throw new Error(`Revision ${target.revision} is already the saved version`);
+  }
+
+  if (targetLanguage !== language) {
+    await removeLanguageFiles(config, scriptName, language);
+  }
+  await fs.writeFile(
+    getScriptPaths(config, scriptName, targetLanguage).scriptPath,
+    content
+  );
+  await saveManifest(config, scriptName, {
+    ...manifest,
+    language: targetLanguage,
+    updatedAt: new Date().toISOString(),
+    history,
+  });
+  return target.revision;
+}
+
+// Rename a script's directory along with the name in its package.json and
+// manifest
+export async function renameScript(config, scriptName, newName) {
+  const { scriptDir } = getScriptPaths(config, scriptName);
+  const {
+    scriptDir: newDir,
+    packagePath,
+    manifestPath,
+  } = getScriptPaths(config, newName);
+
+  try {
+    await fs.access(newDir);
+    throw new Error(`A script named "${newName}" already exists`);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  await fs.rename(scriptDir, newDir);
+
+  for (const file of [packagePath, manifestPath]) {
+    try {
+      const content = JSON.parse(await fs.readFile(file, "utf8"));
+      await fs.writeFile(
+        file,
+        JSON.stringify({ ...content, name: newName }, null, 2)
+      );
+    } catch (error) {
+      // Scripts without dependencies have no package.json, older scripts
+      // have no manifest
+      if (error.code !== "ENOENT") {
+        log.warning(
+          `Failed to update ${path.basename(file)}: ${error.message}`
+        );
+      }
+    }
+  }
+}
+
+// Ask for a script's parameters, with a form when the model described them.
+// Resolves with the parameters as they go on the command line.
+export async function askScriptParameters(parameters) {
+  let paramString = "";
+
+  // Handle structured parameters if they exist
+  if (parameters && parameters.length > 0) {
+    log.info("\nScript parameters:");
+
+    // Create a form schema for the structured parameters
+    const formSchema = {};
+
+    // Add each parameter to the form
+    parameters.forEach((param) => {
+      log.text(
+        `- ${param.name}: ${param.description}${
+          param.required ? " (required)" : ""
+        }`
+      );
+      formSchema[param.name] = {
+        type: "input",
+        message: `${param.name}${param.required ? " (required)" : ""}`,
+        hint: param.description,
+        required: param.required,
+        initial: param.defaultValue || "",
+      };
+    });
+
+    // Add a field for additional free-form parameters
+    formSchema.additionalParams = {
+      type: "input",
+      message: "Additional parameters (e.g., --foo=bar --baz=qux)",
+      hint: "Enter any additional parameters in command-line format",
+    };
+
+    // Create and run the form
+    const form = new Form({
+      name: "parameters",
+      message: "Enter script parameters:",
+      choices: Object.keys(formSchema).map((key) => ({
+        name: key,
+        message: formSchema[key].message,
+        hint: formSchema[key].hint,
+        required: formSchema[key].required,
+        initial: formSchema[key].initial,
+      })),
+    });
+
+    const answers = await form.run();
+
+    // Add structured parameters
+    for (const param of parameters) {
+      if (answers[param.name] && answers[param.name].trim()) {
+        paramString += ` --${param.name}="${answers[param.name].trim()}"`;
+      }
+    }
+
+    // Add additional free-form parameters
+    if (answers.additionalParams && answers.additionalParams.trim()) {
+      paramString += ` ${answers.additionalParams.trim()}`;
+    }
+  } else {
+    // No structured parameters, just get free-form parameters
+    const prompt = new Input({
+      name: "parameters",
+      message: "Enter command line parameters (e.g. --foo=bar --baz=qux):",
+      initial: "",
+    });
+
+    const answer = await prompt.run();
+    if (answer.trim()) {
+      paramString += ` ${answer.trim()}`;
+    }
+  }
+
+  return paramString;
+}
@@ -0,0 +1,128 @@
+import fs from "fs/promises";
+import path from "path";
+import { generateRandomHash } from "./util.js";
+
+export function createSessionId() {
+  return generateRandomHash();
+}
+
+function getSessionPath(config, sessionId) {
+  return path.join(config.sessionsDir, `${sessionId}.json`);
+}
+
+// Only sessions that produced at least one response are worth keeping
+function hasResponse(context) {
+  return Boolean(
+    context.currentCommand?.response || context.commandHistory?.length
+  );
+}
+
+// Persist the conversation state of the current session to disk
+export async function saveSession(context) {
+  const { config, sessionId } = context;
+
+  if (!sessionId || !config?.sessionsDir || !hasResponse(context)) {
+    return false;
+  }
+
+  const sessionPath = getSessionPath(config, sessionId);
+
+  const session = {
+    id: sessionId,
+    createdAt: context.sessionCreatedAt ?? new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    model: context.model,
+    scriptMode: context.scriptMode,
+    planMode: context.planMode,
+    scriptName: context.scriptName,
+    scriptLanguage: context.scriptLanguage,
+    commandHistory: context.commandHistory,
+    currentCommand: context.currentCommand,
+    usage: context.sessionUsage,
+  };
+
+  await fs.mkdir(config.sessionsDir, { recursive: true });
+  await fs.writeFile(sessionPath, JSON.stringify(session, null, 2));
+
+  return true;
+}
+
+// Save the complete output of a command run in the session's directory.
+// Resolves with the file path, or null when sessions aren't saved.
+export async function saveCommandOutput(context, output) {
+  const { config, sessionId } = context;
+  if (!sessionId || !config?.sessionsDir) return null;
+
+  const outputDir = path.join(config.sessionsDir, sessionId);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const outputPath = path.join(outputDir, `output-${Date.now()}.log`);
+  await fs.writeFile(outputPath, output);
+  return outputPath;
+}
+
+// Get all saved sessions, newest first
+export async function listSessions(config) {
+  let entries;
+  try {
+    entries = await fs.readdir(config.sessionsDir);
+  } catch (error) {
+    return [];
+  }
+
+  const sessions = [];
+  for (const entry of entries.filter((entry) => entry.endsWith(".json"))) {
+    try {
+      const content = await fs.readFile(
+        path.join(config.sessionsDir, entry),
+        "utf8"
+      );
+      sessions.push(JSON.parse(content));
+    } catch (error) {
+      // Skip unreadable or corrupt session files
+    }
+  }
+
+  sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  return sessions;
+}
+
+// Find a session by its id or a unique id prefix
+export async function findSession(config, sessionId) {
+  const sessions = await listSessions(config);
+  const exact = sessions.find((session) => session.id === sessionId);
+  if (exact) return exact;
+
+  const matches = sessions.filter((session) =>
+    session.id.startsWith(sessionId)
+  );
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Get the request that started the session
+export function getInitialRequest(session) {
+  const originalCommand = session.commandHistory?.length
+    ? session.commandHistory[0]
+    : session.currentCommand;
+  return originalCommand?.request ?? "";
+}
+
+// Get every request and response in the session, oldest first
+export function getSessionCommands(session) {
+  return [...(session.commandHistory ?? []), session.currentCommand].filter(
+    Boolean
+  );
+}
+
+// Check whether any request or response in the session matches the query
+export function sessionMatches(session, query) {
+  const needle = query.toLowerCase();
+  return getSessionCommands(session).some(
+    (command) =>
+      command.request?.toLowerCase().includes(needle) ||
+      command.response?.content?.toLowerCase().includes(needle) ||
+      command.response?.steps?.some((step) =>
+        step.command?.toLowerCase().includes(needle)
+      )
+  );
+}
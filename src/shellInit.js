@@ -0,0 +1,56 @@
+// Shell widgets that run ai2cli on the current line buffer and replace it with
+// the generated command. ai2cli writes the command to the file passed with
+// --insert-file when the user picks the insert action.
+const shellScripts = {
+  bash: `# ai2cli shell integration for bash
+# Add to ~/.bashrc: eval "$(ai2cli shell-init bash)"
+_ai2cli_widget() {
+  local tmp
+  tmp="$(mktemp "\${TMPDIR:-/tmp}/ai2cli.XXXXXX")" || return
+  ai2cli --insert-file "$tmp" -- "$READLINE_LINE" </dev/tty >/dev/tty
+  if [ -s "$tmp" ]; then
+    READLINE_LINE="$(cat "$tmp")"
+    READLINE_POINT=\${#READLINE_LINE}
+  fi
+  rm -f "$tmp"
+}
+bind -x '"\\C-g": _ai2cli_widget'
+`,
+  zsh: `# ai2cli shell integration for zsh
+# Add to ~/.zshrc: eval "$(ai2cli shell-init zsh)"
+_ai2cli_widget() {
+  local tmp
+  tmp="$(mktemp "\${TMPDIR:-/tmp}/ai2cli.XXXXXX")" || return
+  ai2cli --insert-file "$tmp" -- "$BUFFER" </dev/tty >/dev/tty
+  if [[ -s "$tmp" ]]; then
+    BUFFER="$(<"$tmp")"
+    CURSOR=\${#BUFFER}
+  fi
+  rm -f "$tmp"
+  zle reset-prompt
+}
+zle -N _ai2cli_widget
+bindkey '^G' _ai2cli_widget
+`,
+  fish: `# ai2cli shell integration for fish
+# Add to ~/.config/fish/config.fish: ai2cli shell-init fish | source
+function _ai2cli_widget
+  set -l tmp (mktemp (set -q TMPDIR; and echo $TMPDIR; or echo /tmp)/ai2cli.XXXXXX); or return
+  ai2cli --insert-file $tmp -- (commandline) </dev/tty >/dev/tty
+  if test -s $tmp
+    commandline -r -- (cat $tmp | string collect)
+    commandline -f end-of-line
+  end
+  rm -f $tmp
+  commandline -f repaint
+end
+bind \\cg _ai2cli_widget
+`,
+};
+
+export const supportedShells = Object.keys(shellScripts);
+
+// Get the shell integration script for the given shell
+export function getShellInitScript(shell) {
+  return shellScripts[shell] ?? null;
+}
@@ -1,11 +1,15 @@
 import chalk from "chalk";
 import enquirer from "enquirer";
+import ora from "ora";
 
 import log from "../log.js";
 import { State } from "../machine.js";
 import { clearScreen } from "../util.js";
+import { discoverModels } from "../modelDiscovery.js";
 
-const { Select } = enquirer;
+const { Select, MultiSelect } = enquirer;
+
+const COMPARE_CHOICE = "compare-models";
 
 // Handle change model state
 export async function handleChangeModel(context) {
@@ -29,8 +33,39 @@ export async function handleChangeModel(context) {
     providers[provider].push(modelString);
   });
 
+  // Query each configured provider for the models it currently offers
+  const spinner = ora({
+    text: chalk.blue("Loading available models..."),
+    color: "cyan",
+  }).start();
+
+  const discoveredModels = Object.fromEntries(
+    await Promise.all(
+      Object.keys(config.providers ?? {}).map(async (provider) => {
+        const { models } = await discoverModels(config, provider);
+        return [provider, models.map((model) => `${provider}/${model}`)];
+      })
+    )
+  );
+
+  spinner.stop();
+
   // Create choices array with separators
-  Object.entries(providers).forEach(([provider, models]) => {
+  const allProviders = new Set([
+    ...Object.keys(providers),
+    ...Object.keys(discoveredModels),
+  ]);
+
+  allProviders.forEach((provider) => {
+    const models = providers[provider] ?? [];
+    const otherModels = (discoveredModels[provider] ?? []).filter(
+      (modelString) => !models.includes(modelString)
+    );
+
+    if (models.length === 0 && otherModels.length === 0) {
+      return;
+    }
+
     choices.push({ role: "separator", name: `${provider.toUpperCase()}` });
 
     models.forEach((modelString) => {
@@ -44,18 +79,71 @@ export async function handleChangeModel(context) {
         disabled: false,
       });
     });
+
+    // Models the provider offers that aren't in the config yet
+    otherModels.forEach((modelString) => {
+      const isCurrentModel = modelString === context.model;
+
+      choices.push({
+        name: modelString,
+        message: isCurrentModel
+          ? chalk.green(`${modelString} (current)`)
+          : chalk.dim(modelString),
+        disabled: false,
+      });
+    });
   });
 
+  const modelNames = choices
+    .filter((choice) => choice.role !== "separator")
+    .map((choice) => choice.name);
+
   try {
     // Use Enquirer's Select prompt for model selection
     const selectPrompt = new Select({
       name: "model",
       message: "Select a model to re-run the command generation:",
-      choices: choices,
+      // The comparison shows commands and scripts, which plans don't have
+      choices: [
+        ...(context.planMode
+          ? []
+          : [
+              {
+                name: COMPARE_CHOICE,
+                message: chalk.cyan("Compare several models side by side..."),
+              },
+            ]),
+        ...choices,
+      ],
+      limit: 15,
     });
 
     const selectedModel = await selectPrompt.run();
 
+    if (selectedModel === COMPARE_CHOICE) {
+      const comparePrompt = new MultiSelect({
+        name: "compareModels",
+        message: "Select the models to compare:",
+        choices: modelNames,
+        hint: "Space to select, enter to confirm",
+        initial: [context.model],
+        limit: 15,
+        validate: (selected) =>
+          selected.length >= 2 || "Select at least two models",
+      });
+
+      const compareModels = await comparePrompt.run();
+
+      return {
+        nextState: State.COMPARE_MODELS,
+        context: {
+          ...context,
+          compareModels,
+          currentCommand: { ...context.currentCommand, executionResults: null },
+        },
+      };
+    }
+
     if (selectedModel === context.model) {
       return { nextState: State.USER_RESPONSE, context };
     }
@@ -0,0 +1,244 @@
+import chalk from "chalk";
+import enquirer from "enquirer";
+import ora from "ora";
+
+import log from "../log.js";
+import { formatDependency, getDependencyList } from "../dependencies.js";
+import { State } from "../machine.js";
+import { generateResponse } from "../llm.js";
+import { setupEscapeHandler, wrapText } from "../util.js";
+import { addUsage, emptyUsage } from "../usage.js";
+import { assessCommand, compareRisk, Risk } from "../safety.js";
+import { createScriptName, recoverFromFailure } from "./userRequest.js";
+
+const { Select } = enquirer;
+
+// Narrower columns are hard to read, stack the models instead
+const MIN_COLUMN_WIDTH = 30;
+const COLUMN_GAP = 3;
+
+// Build the lines shown for one model as [text, style] pairs
+function getComparisonLines(comparison, scriptMode, config, width) {
+  const { model, result, error, duration } = comparison;
+  const lines = [];
+  const add = (text, style = (line) => line) =>
+    wrapText(text, width).forEach((line) => lines.push([line, style]));
+
+  add(model, chalk.bold.cyan);
+  add(`${(duration / 1000).toFixed(1)}s`, chalk.dim);
+  lines.push(["", null]);
+
+  if (error) {
+    add(`Failed: ${error.message}`, chalk.red);
+    return lines;
+  }
+
+  if (scriptMode) {
+    add(`[${result.script_name || "script"}]`, chalk.bold);
+    add(`${result.content.split("\n").length} lines`, chalk.dim);
+    const dependencies = getDependencyList(result.dependencies);
+    if (dependencies.length > 0) {
+      add(
+        `Dependencies: ${dependencies.map(formatDependency).join(", ")}`,
+        chalk.dim
+      );
+    }
+  } else {
+    add(result.content.trim(), chalk.bold);
+    lines.push(["", null]);
+    const { level } = assessCommand(result, config);
+    add(
+      `Risk: ${level}`,
+      compareRisk(level, Risk.MEDIUM) >= 0
+        ? chalk.red
+        : level === Risk.LOW
+        ? chalk.yellow
+        : chalk.green
+    );
+    if (result.caution) {
+      add(`Caution: ${result.caution}`, chalk.yellow);
+    }
+  }
+
+  if (result.explanation) {
+    lines.push(["", null]);
+    add(result.explanation);
+  }
+
+  if (result.clarification_needed?.trim()) {
+    lines.push(["", null]);
+    add(`Question: ${result.clarification_needed}`, chalk.blue);
+  }
+
+  return lines;
+}
+
+// Show each model's response in columns, or stacked on narrow terminals
+function displayComparison(comparisons, scriptMode, config) {
+  const terminalWidth = process.stdout.columns || 80;
+  const columnWidth = Math.floor(
+    (terminalWidth - COLUMN_GAP * (comparisons.length - 1)) / comparisons.length
+  );
+
+  log.header("Model Comparison");
+  log.nl();
+
+  if (columnWidth < MIN_COLUMN_WIDTH) {
+    comparisons.forEach((comparison) => {
+      getComparisonLines(comparison, scriptMode, config, terminalWidth).forEach(
+        ([text, style]) => log.text(style ? style(text) : text)
+      );
+      log.nl();
+    });
+    return;
+  }
+
+  const columns = comparisons.map((comparison) =>
+    getComparisonLines(comparison, scriptMode, config, columnWidth)
+  );
+  const rowCount = Math.max(...columns.map((column) => column.length));
+
+  for (let row = 0; row < rowCount; row++) {
+    const cells = columns.map((column, index) => {
+      const [text = "", style] = column[row] ?? [];
+      // Pad before styling so ANSI codes don't affect the alignment
+      const padded =
+        index < columns.length - 1 ? text.padEnd(columnWidth) : text;
+      return style ? style(padded) : padded;
+    });
+    log.text(cells.join(" ".repeat(COLUMN_GAP)));
+  }
+  log.nl();
+}
+
+// Handle compare models state - run the same request against several models
+export async function handleCompareModels(context) {
+  const { compareModels, scriptMode, currentCommand } = context;
+  const itemType = scriptMode ? "script" : "command";
+
+  // Track progress per model in the spinner
+  const status = Object.fromEntries(
+    compareModels.map((model) => [model, chalk.dim("waiting...")])
+  );
+  const renderStatus = () =>
+    chalk.blue(`Comparing ${compareModels.length} models...`) +
+    chalk.dim(" (press Esc to cancel)") +
+    "\n" +
+    compareModels.map((model) => `  ${model}: ${status[model]}`).join("\n");
+
+  const spinner = ora({
+    text: renderStatus(),
+    color: "cyan",
+    discardStdin: false,
+  }).start();
+
+  const abortController = new AbortController();
+  const cleanupEscapeHandler = setupEscapeHandler(() =>
+    abortController.abort()
+  );
+
+  // Fan the same messages out to every model at once
+  const comparisons = await Promise.all(
+    compareModels.map(async (model) => {
+      const startTime = Date.now();
+      status[model] = chalk.dim("thinking...");
+      spinner.text = renderStatus();
+
+      try {
+        const { result, usage } = await generateResponse(
+          { ...context, model },
+          {
+            abortSignal: abortController.signal,
+            useFallbacks: false,
+            onStatus: (message) => {
+              status[model] = chalk.yellow(message);
+              spinner.text = renderStatus();
+            },
+          }
+        );
+        status[model] = chalk.green("done");
+        return { model, result, usage, duration: Date.now() - startTime };
+      } catch (error) {
+        status[model] = chalk.red("failed");
+        return { model, error, duration: Date.now() - startTime };
+      } finally {
+        spinner.text = renderStatus();
+      }
+    })
+  );
+
+  spinner.stop();
+  cleanupEscapeHandler();
+
+  if (abortController.signal.aborted) {
+    return { nextState: State.BACK, context };
+  }
+
+  const successful = comparisons.filter((comparison) => comparison.result);
+
+  // Every model that answered counts towards the session cost
+  const sessionUsage = successful.reduce(
+    (total, comparison) => addUsage(total, comparison.usage),
+    context.sessionUsage ?? emptyUsage()
+  );
+
+  displayComparison(comparisons, scriptMode, context.config);
+
+  if (successful.length === 0) {
+    log.error(`None of the models could generate a ${itemType}.`);
+    return recoverFromFailure({
+      ...context,
+      compareModels: null,
+      sessionUsage,
+    });
+  }
+
+  try {
+    const selectPrompt = new Select({
+      name: "model",
+      message: `Pick the ${itemType} to continue with:`,
+      choices: successful.map(({ model, result }) => ({
+        name: model,
+        message: scriptMode
+          ? `${model} - ${result.explanation}`
+          : `${model} - ${result.content.trim()}`,
+      })),
+    });
+
+    const selectedModel = await selectPrompt.run();
+    const { result } = successful.find(
+      (comparison) => comparison.model === selectedModel
+    );
+
+    // Continue refining with the chosen model only
+    const newContext = {
+      ...context,
+      model: selectedModel,
+      compareModels: null,
+      sessionUsage,
+      currentCommand: {
+        ...currentCommand,
+        response: result,
+        executionResults: null,
+      },
+      scriptName:
+        context.scriptName || (scriptMode ? createScriptName(result) : null),
+    };
+
+    if (
+      !currentCommand.refusedClarification &&
+      result.clarification_needed &&
+      result.clarification_needed.trim() !== ""
+    ) {
+      return { nextState: State.REQUEST_CLARIFICATION, context: newContext };
+    }
+
+    return { nextState: State.USER_RESPONSE, context: newContext };
+  } catch (error) {
+    // Handle Ctrl+C or other errors
+    if (error.message !== "cancelled") {
+      log.error(`Error: ${error.message}`);
+    }
+    return { nextState: State.BACK, context };
+  }
+}
@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { State } from "../machine.js";
+import log from "../log.js";
+import { getEditor, openInEditor } from "../editor.js";
+import { getScriptExtension, resolveScriptLanguage } from "../languages.js";
+import {
+  generateRandomHash,
+  getItemType,
+  suspendGlobalKeyHandler,
+  waitKeyPressed,
+} from "../util.js";
+
+// Edit a single line in place with the cursor at its end. Resolves with null
+// when cancelled with Ctrl+C.
+async function editLine(text) {
+  const resumeKeyHandler = suspendGlobalKeyHandler();
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+
+  try {
+    return await new Promise((resolve) => {
+      rl.on("SIGINT", () => resolve(null));
+      rl.question("> ", resolve);
+      rl.write(text);
+    });
+  } finally {
+    rl.close();
+    resumeKeyHandler();
+  }
+}
+
+// Open text in a temporary file in the user's editor. Resolves with the
+// saved text.
+async function editInEditor(text, extension, editor) {
+  const file = path.join(
+    os.tmpdir(),
+    `ai2cli-edit-${generateRandomHash()}${extension}`
+  );
+  await fs.writeFile(file, text);
+
+  try {
+    await openInEditor(file, editor);
+    return await fs.readFile(file, "utf8");
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+}
+
+// Handle edit state - let the user change the command or script by hand
+export async function handleEdit(context) {
+  const { currentCommand, commandHistory, scriptMode, systemInfo } = context;
+  const { response } = currentCommand;
+  const itemType = getItemType(context);
+  const original = scriptMode ? response.content : response.content.trim();
+
+  let edited;
+  try {
+    if (!scriptMode && !original.includes("\n")) {
+      log.detail(
+        "Edit the command and press Enter to keep it, or Ctrl+C to cancel."
+      );
+      edited = await editLine(original);
+    } else {
+      const editor = getEditor(systemInfo);
+      log.info(`Opening the ${itemType} in ${editor}...`);
+      // The script's own extension gives the editor its syntax highlighting
+      const extension = scriptMode
+        ? getScriptExtension(
+            resolveScriptLanguage(response, context.scriptLanguage)
+          )
+        : ".sh";
+      edited = await editInEditor(original, extension, editor);
+    }
+  } catch (error) {
+    log.error(`Error: Failed to edit the ${itemType}: ${error.message}`);
+    log.text("> Press any key to continue");
+    await waitKeyPressed();
+    return { nextState: State.USER_RESPONSE, context };
+  }
+
+  if (!edited?.trim() || edited.trim() === original.trim()) {
+    return { nextState: State.USER_RESPONSE, context };
+  }
+
+  // The breakdown and changelog describe the model's version. The destructive
+  // flag is kept, the local safety check runs again on the edited text.
+  const editedResponse = {
+    ...response,
+    content: scriptMode ? edited : edited.trim(),
+    changelog: "",
+  };
+  delete editedResponse.breakdown;
+
+  // The edit is a turn of its own so the model sees it on the next refinement
+  return {
+    nextState: State.USER_RESPONSE,
+    context: {
+      ...context,
+      currentCommand: {
+        request: `changed the ${itemType} by hand`,
+        type: "edit",
+        response: editedResponse,
+      },
+      commandHistory: [...commandHistory, currentCommand],
+    },
+  };
+}
@@ -3,214 +3,695 @@ import chalk from "chalk";
 import { spawn } from "child_process";
 import ora from "ora";
 import fs from "fs/promises";
-import path from "path";
-import { execAsync, waitKeyPressed } from "../util.js";
+import {
+  describeExecutionStatus,
+  execAsync,
+  shellQuote,
+  suspendGlobalKeyHandler,
+  waitKeyPressed,
+} from "../util.js";
 import log from "../log.js";
 import enquirer from "enquirer";
+import { clearTimeout, setTimeout } from "timers";
+import {
+  createAutoFixCommand,
+  getMaxAttempts,
+  isAutoFixEnabled,
+  needsAutoFix,
+} from "../autoFix.js";
+import { startJob } from "../jobs.js";
+import {
+  getDependencyList,
+  installScriptDependencies,
+} from "../dependencies.js";
+import { resolveScriptLanguage } from "../languages.js";
+import { applyResourceLimits } from "../limits.js";
+import { compactOutput, countLines, isCompacted } from "../output.js";
+import { assessStep } from "../plan.js";
+import { assessCommand, Risk } from "../safety.js";
+import {
+  askScriptParameters,
+  getScriptPaths,
+  createTemporaryScript,
+  getScriptRunCommand,
+  preserveSavedScript,
+  writeScriptManifest,
+} from "../scripts.js";
+import { saveCommandOutput } from "../sessions.js";
+import { isPtyAvailable, runInPty } from "../pty.js";
+import {
+  createSandbox,
+  diffSandbox,
+  formatSandboxDiff,
+  removeSandbox,
+  SandboxMethod,
+} from "../sandbox.js";
+
+const { Confirm, Input } = enquirer;
+
+// Number of affected paths listed before the rest are summarized
+const MAX_PREVIEW_PATHS = 20;
+
+// Run the read-only preview of a command and show the paths it reports
+async function runPreview(context) {
+  const { preview } = context;
+
+  log.header("Preview: " + preview.explanation);
+  log.text(chalk.dim("$ " + preview.content));
+  log.nl();
+
+  let stdout = "";
+  let stderr = "";
+  try {
+    ({ stdout, stderr } = await execAsync(preview.content, {
+      timeout: 30000,
+      maxBuffer: 10 * 1024 * 1024,
+    }));
+  } catch (error) {
+    // Missing files make ls and find fail, what they did list still counts
+    stdout = error.stdout ?? "";
+    stderr = error.stderr || error.message;
+  }
+
+  const paths = stdout.split("\n").filter((line) => line.trim());
+  paths.slice(0, MAX_PREVIEW_PATHS).forEach((path) => log.text("  " + path));
+  if (paths.length > MAX_PREVIEW_PATHS) {
+    log.detail(`  ... and ${paths.length - MAX_PREVIEW_PATHS} more`);
+  }
+  if (stderr.trim()) {
+    log.detail(stderr.trim());
+  }
+
+  log.nl();
+  log.warning(
+    paths.length === 1
+      ? "1 path would be affected."
+      : `${paths.length} paths would be affected.`
+  );
+  log.text(
+    "> Press Enter to run the command for real, or any other key to go back"
+  );
+
+  const key = await waitKeyPressed();
+  const newContext = { ...context, preview: null };
+
+  return {
+    nextState: key === "\r" ? State.EXECUTE_COMMAND : State.USER_RESPONSE,
+    context: newContext,
+  };
+}
+
+// Time a command gets to exit after SIGTERM before it is killed
+const KILL_GRACE_MS = 5000;
+
+// Run a command, streaming its output to the terminal while capturing it.
+// The terminal is handed over to the command for the duration of the run.
+// Resolves with the execution results stored on the current command, which
+// keep a compacted copy of the output.
+async function runCommand(context, command, { cwd, wrapper } = {}) {
+  const { config } = context;
+  const timeoutSeconds = config?.execution?.timeoutSeconds ?? 0;
+  const limitedCommand = applyResourceLimits(
+    command,
+    config?.execution?.limits
+  );
+  const options = { cwd, wrapper, timeoutMs: timeoutSeconds * 1000 };
+
+  const resumeKeyHandler = suspendGlobalKeyHandler();
+  const startTime = Date.now();
+
+  let results;
+  try {
+    results = (await isPtyAvailable(config))
+      ? await runWithPty(limitedCommand, options)
+      : await runWithPipes(limitedCommand, options);
+  } finally {
+    resumeKeyHandler();
+  }
+
+  const { exitCode, signal, timedOut, startError } = results;
+  const error = Boolean(startError) || timedOut || exitCode !== 0;
+
+  if (startError) {
+    log.error(`Error executing command: ${startError}`);
+  } else if (timedOut) {
+    log.error(
+      `\nCommand timed out after ${timeoutSeconds}s and was stopped. Raise execution.timeoutSeconds or run it in the background.`
+    );
+  } else if (signal) {
+    log.warning(`\nCommand terminated by ${signal}.`);
+  } else if (exitCode !== 0) {
+    log.error(`\nCommand exited with code ${exitCode}.`);
+  } else {
+    process.stdout.write(chalk.green("\nCommand completed.\n"));
+  }
+
+  // The session only stores the compacted output, the complete output is
+  // kept in a file next to it so other parts can be sent when refining
+  const compacted = isCompacted(results.output, config);
+  let fullOutputFile = null;
+  if (compacted && config?.output?.saveFull !== false) {
+    try {
+      fullOutputFile = await saveCommandOutput(context, results.output);
+    } catch (error) {
+      log.warning(`Failed to save the full output: ${error.message}`);
+    }
+  }
+
+  return {
+    output: compactOutput(results.output, config),
+    stdout: compactOutput(results.stdout, config),
+    stderr: compactOutput(results.stderr, config),
+    compacted,
+    outputLines: countLines(results.output),
+    fullOutputFile,
+    exitCode,
+    signal,
+    durationMs: Date.now() - startTime,
+    timedOut,
+    // stdout and stderr share one stream in a terminal
+    pty: results.pty,
+    startError,
+    error,
+  };
+}
+
+// Interactive programs (editors, pagers, password prompts) need a terminal
+async function runWithPty(command, { cwd, wrapper, timeoutMs }) {
+  const commandLine = wrapper
+    ? [...wrapper, command].map(shellQuote).join(" ")
+    : command;
+
+  try {
+    const { output, exitCode, signal, timedOut } = await runInPty(commandLine, {
+      cwd,
+      timeoutMs,
+    });
+    return {
+      output,
+      stdout: output,
+      stderr: "",
+      exitCode,
+      signal,
+      timedOut,
+      pty: true,
+    };
+  } catch (error) {
+    return {
+      output: "",
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      signal: null,
+      timedOut: false,
+      pty: true,
+      startError: error.message,
+    };
+  }
+}
+
+// Without a terminal the output is read through pipes. Ctrl+C stops the
+// command but not ai2cli.
+async function runWithPipes(command, { cwd, wrapper, timeoutMs }) {
+  // The combined output keeps stdout and stderr in the order they arrived
+  let output = "";
+  let stdout = "";
+  let stderr = "";
+
+  // Split the command into program and arguments
+  const parts = command.split(" ");
+  const program = parts[0];
+  const args = parts.slice(1);
+
+  // Use spawn with pipes for stdout/stderr to capture output. A wrapper
+  // (such as a sandbox) gets the whole command line as a single argument.
+  // The command gets a process group of its own so that it can be stopped
+  // with everything it started, unless it reads from the terminal, which
+  // only the foreground process group may.
+  const stdio = ["inherit", "pipe", "pipe"];
+  const detached = !process.stdin.isTTY;
+  const childProcess = wrapper
+    ? spawn(wrapper[0], [...wrapper.slice(1), command], {
+        cwd,
+        stdio,
+        detached,
+      })
+    : spawn(program, args, { shell: true, cwd, stdio, detached });
+
+  const signalCommand = (signal) => {
+    try {
+      if (detached) process.kill(-childProcess.pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+    childProcess.kill(signal);
+  };
+
+  // Set up SIGINT (Ctrl+C) handler
+  const sigintHandler = () => {
+    // Only kill the child process, not the parent
+    signalCommand("SIGINT");
+  };
+
+  // Add the SIGINT listener
+  process.on("SIGINT", sigintHandler);
+
+  // Stop the command once it runs too long, forcefully if it ignores SIGTERM
+  let timedOut = false;
+  let killTimer = null;
+  const timeoutTimer = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        signalCommand("SIGTERM");
+        killTimer = setTimeout(() => signalCommand("SIGKILL"), KILL_GRACE_MS);
+      }, timeoutMs)
+    : null;
+
+  // Processes the command left in the background can keep the pipes open
+  // after it was stopped
+  childProcess.on("exit", () => {
+    if (timedOut) {
+      childProcess.stdout.destroy();
+      childProcess.stderr.destroy();
+    }
+  });
+
+  // Capture stdout
+  childProcess.stdout.on("data", (data) => {
+    const text = data.toString();
+    output += text;
+    stdout += text;
+    process.stdout.write(text);
+  });
+
+  // Capture stderr, which many tools use for progress rather than errors
+  childProcess.stderr.on("data", (data) => {
+    const text = data.toString();
+    output += text;
+    stderr += text;
+    process.stderr.write(text);
+  });
+
+  // Resolve when the process exits, whatever its exit status
+  return new Promise((resolve) => {
+    childProcess.on("close", (code, signal) => {
+      // Remove the SIGINT listener when the child process exits
+      process.removeListener("SIGINT", sigintHandler);
+      clearTimeout(timeoutTimer);
+      // What the command left in its process group still gets killed
+      if (!detached) clearTimeout(killTimer);
+      resolve({
+        output,
+        stdout,
+        stderr,
+        exitCode: code,
+        signal,
+        timedOut,
+        pty: false,
+      });
+    });
+
+    childProcess.on("error", (err) => {
+      process.removeListener("SIGINT", sigintHandler);
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      resolve({
+        output,
+        stdout,
+        stderr,
+        exitCode: null,
+        signal: null,
+        timedOut: false,
+        pty: false,
+        startError: `Failed to start command: ${err.message}`,
+      });
+    });
+  });
+}
+
+function displaySandboxDiff({ created, modified, deleted }) {
+  log.header("Sandbox changes:");
+  created.forEach((entryPath) => log.text(chalk.green(`  + ${entryPath}`)));
+  modified.forEach((entryPath) => log.text(chalk.yellow(`  ~ ${entryPath}`)));
+  deleted.forEach((entryPath) => log.text(chalk.red(`  - ${entryPath}`)));
+  log.nl();
+  log.info(
+    `${created.length} created, ${modified.length} modified, ${deleted.length} deleted`
+  );
+}
+
+// Run the command against a throwaway copy of the working directory and
+// report what it changed. The user can then apply it for real or refine it
+// with the changes as the execution results.
+async function runInSandbox(context, command) {
+  const newContext = { ...context, sandbox: false };
+
+  let sandbox;
+  try {
+    sandbox = await createSandbox(context.config);
+  } catch (error) {
+    log.error(`\nFailed to create sandbox: ${error.message}`);
+    log.text("> Press any key to continue");
+    await waitKeyPressed();
+    return { nextState: State.USER_RESPONSE, context: newContext };
+  }
+
+  // Only bubblewrap keeps the command away from the rest of the filesystem
+  if (sandbox.method !== SandboxMethod.BWRAP) {
+    log.warning(
+      sandbox.method === SandboxMethod.COPY
+        ? "\nNo isolation tool is available. The command runs in a copy of this directory, but absolute, ~ and $HOME paths still reach the real files."
+        : "\nOnly the current directory is isolated. Absolute, ~ and $HOME paths outside it still reach the real files."
+    );
+    if (!(await confirmUnisolatedRun())) {
+      await removeSandbox(sandbox);
+      log.warning("Sandbox run cancelled.");
+      return { nextState: State.USER_RESPONSE, context: newContext };
+    }
+  }
+
+  process.stdout.write(
+    chalk.green(`\nExecuting in sandbox (${sandbox.method})...\n`)
+  );
+
+  const executionResults = await runCommand(context, command, {
+    cwd: sandbox.cwd,
+    wrapper: sandbox.wrapper,
+  });
+
+  let diff;
+  try {
+    diff = await diffSandbox(sandbox);
+  } finally {
+    await removeSandbox(sandbox);
+  }
+  displaySandboxDiff(diff);
+
+  log.nl();
+  log.text(
+    "> Press Enter to run the command for real, 'r' to refine it with these changes, or any other key to go back"
+  );
+  const key = await waitKeyPressed();
+
+  if (key === "\r") {
+    return { nextState: State.EXECUTE_COMMAND, context: newContext };
+  }
+
+  newContext.currentCommand = {
+    ...context.currentCommand,
+    executionResults: {
+      ...executionResults,
+      sandboxChanges: formatSandboxDiff(diff),
+    },
+  };
+
+  return {
+    nextState: key === "r" ? State.REFINE : State.USER_RESPONSE,
+    context: newContext,
+  };
+}
+
+// Ask for the script's parameters, if it has any, and append them to the
+// command that runs it
+async function addScriptParameters(command, scriptResult) {
+  if (!scriptResult.hasParameters) return command;
+  try {
+    const paramString = await askScriptParameters(scriptResult.parameters);
+
+    // Append parameters to command if we have any
+    if (paramString.trim()) {
+      return command + paramString;
+    }
+  } catch (err) {
+    log.warning(`Failed to get parameters: ${err.message}`);
+    log.warning("Executing script without parameters");
+  }
+  return command;
+}
+
+// Try a generated script in the sandbox. It is neither saved nor are its
+// dependencies installed until it is run for real.
+async function runScriptInSandbox(context, language, dependencies) {
+  const { config, scriptName, currentCommand } = context;
+
+  let script;
+  try {
+    script = await createTemporaryScript(
+      config,
+      scriptName,
+      currentCommand.response.content,
+      language,
+      dependencies
+    );
+  } catch (error) {
+    log.error(`\nFailed to prepare the script: ${error.message}`);
+    log.text("> Press any key to continue");
+    await waitKeyPressed();
+    return {
+      nextState: State.USER_RESPONSE,
+      context: { ...context, sandbox: false },
+    };
+  }
+
+  if (!script.installed) {
+    log.warning(
+      "Dependencies are only installed when the script is run for real, so it runs without them in the sandbox."
+    );
+  }
+
+  try {
+    const command = await addScriptParameters(
+      script.command,
+      currentCommand.response
+    );
+    return await runInSandbox(context, command);
+  } finally {
+    await fs.rm(script.dir, { recursive: true, force: true });
+  }
+}
+
+// Start the command as a background job and return to the command right away
+async function runInBackground(context, command) {
+  const newContext = { ...context, background: false };
+
+  try {
+    const job = await startJob(context.config, {
+      command,
+      cwd: process.cwd(),
+      sessionId: context.sessionId,
+    });
+    log.success(`\nStarted job ${job.id} (pid ${job.pid}).`);
+    log.detail(`Output is written to ${job.logFile}`);
+    log.detail(
+      `Follow it with: ai2cli jobs tail -f ${job.id}, stop it with: ai2cli jobs kill ${job.id}`
+    );
+  } catch (error) {
+    log.error(`\nFailed to start job: ${error.message}`);
+  }
+
+  log.nl();
+  log.text("> Press any key to continue");
+  await waitKeyPressed();
 
-const { Input, Form } = enquirer;
+  return { nextState: State.USER_RESPONSE, context: newContext };
+}
+
+function displayPlanStep(step, index, total, safety) {
+  log.header(`\nStep ${index + 1} of ${total}: ${step.description}`);
+  log.text(chalk.bold(step.command.trim()));
+  if (step.expected_outcome) {
+    log.detail(`Expected: ${step.expected_outcome}`);
+  }
+  safety.findings.forEach(({ level, message, text }) => {
+    log.text(
+      (level === Risk.LOW ? chalk.yellow : chalk.red)(`  - ${message}`) +
+        chalk.dim(` (${text})`)
+    );
+  });
+}
+
+// Run the steps of a plan one at a time, each after confirmation. The plan
+// stops at the first step that fails, which can then be refined with its
+// output.
+async function runPlan(context) {
+  const { currentCommand, config } = context;
+  const { steps } = currentCommand.response;
+  const planProgress = steps.map((step, index) => ({
+    step: index + 1,
+    command: step.command,
+    status: "not run",
+  }));
+  let lastResults = null;
+
+  const finish = async (message, executionResults = lastResults) => {
+    log.nl();
+    log.text(message);
+    const key = await waitKeyPressed();
+
+    const newContext = { ...context };
+    if (executionResults) {
+      newContext.currentCommand = {
+        ...currentCommand,
+        executionResults: { ...executionResults, planProgress },
+      };
+    }
+    return {
+      nextState:
+        key === "r" && executionResults?.failedStep
+          ? State.REFINE
+          : State.USER_RESPONSE,
+      context: newContext,
+    };
+  };
+
+  for (const [index, step] of steps.entries()) {
+    const safety = assessStep(step, config);
+    displayPlanStep(step, index, steps.length, safety);
+
+    if (safety.level === Risk.BLOCKED) {
+      log.error("This step matches your safety deny rules.");
+      return finish(
+        `> Plan stopped before step ${index + 1}. Press any key to continue`
+      );
+    }
+
+    log.text(
+      "> Press Enter to run this step, 's' to skip it, or any other key to stop the plan"
+    );
+    const key = await waitKeyPressed();
+    if (key === "s") {
+      planProgress[index].status = "skipped";
+      continue;
+    }
+    if (
+      key !== "\r" ||
+      (safety.level === Risk.HIGH && !(await confirmHighRisk()))
+    ) {
+      return finish(
+        `> Plan stopped before step ${index + 1}. Press any key to continue`
+      );
+    }
+
+    process.stdout.write(chalk.green(`\nRunning step ${index + 1}...\n`));
+    lastResults = await runCommand(context, step.command);
+    planProgress[index].status = describeExecutionStatus(lastResults);
+
+    if (lastResults.error) {
+      return finish(
+        `> Step ${
+          index + 1
+        } failed. Press 'r' to refine the plan from this step with its output, or any other key to go back`,
+        {
+          ...lastResults,
+          failedStep: { step: index + 1, command: step.command },
+        }
+      );
+    }
+  }
+
+  log.success("\nPlan completed.");
+  return finish("> Press any key to continue");
+}
 
 export async function handleExecuteCommand(context) {
   const { currentCommand, scriptMode, config, scriptName } = context;
 
+  if (context.preview) {
+    return runPreview(context);
+  }
+
+  if (context.planMode) {
+    return runPlan(context);
+  }
+
   let command;
 
   if (scriptMode) {
     const scriptResult = currentCommand.response;
 
     // Parse dependencies
-    const dependencies = scriptResult.dependencies
-      ? scriptResult.dependencies.split(",").filter(Boolean)
-      : [];
+    const dependencies = getDependencyList(scriptResult.dependencies);
 
     log.header("Script: " + scriptName);
 
+    const language = resolveScriptLanguage(
+      scriptResult,
+      context.scriptLanguage
+    );
+
+    if (context.sandbox) {
+      return runScriptInSandbox(context, language, dependencies);
+    }
+
+    // Keep the saved version as a revision before it is overwritten
+    try {
+      await preserveSavedScript(config, scriptName, language);
+    } catch (error) {
+      log.warning(`Failed to keep the saved script: ${error.message}`);
+    }
+
     // Save the script
-    await createAndSaveScript(
+    const saved = await createAndSaveScript(
       scriptName,
       scriptResult.content,
       dependencies,
+      language,
       config
     );
-
-    command = `node ${path.join(config.scriptsDir, scriptName, "index.js")}`;
-
-    // Check if the script has parameters
-    if (scriptResult.hasParameters) {
+    if (saved) {
       try {
-        let paramString = "";
-
-        // Handle structured parameters if they exist
-        if (scriptResult.parameters && scriptResult.parameters.length > 0) {
-          log.info("\nScript parameters:");
-
-          // Create a form schema for the structured parameters
-          const formSchema = {};
-
-          // Add each parameter to the form
-          scriptResult.parameters.forEach((param) => {
-            log.text(
-              `- ${param.name}: ${param.description}${
-                param.required ? " (required)" : ""
-              }`
-            );
-            formSchema[param.name] = {
-              type: "input",
-              message: `${param.name}${param.required ? " (required)" : ""}`,
-              hint: param.description,
-              required: param.required,
-              initial: param.defaultValue || "",
-            };
-          });
-
-          // Add a field for additional free-form parameters
-          formSchema.additionalParams = {
-            type: "input",
-            message: "Additional parameters (e.g., --foo=bar --baz=qux)",
-            hint: "Enter any additional parameters in command-line format",
-          };
-
-          // Create and run the form
-          const form = new Form({
-            name: "parameters",
-            message: "Enter script parameters:",
-            choices: Object.keys(formSchema).map((key) => ({
-              name: key,
-              message: formSchema[key].message,
-              hint: formSchema[key].hint,
-              required: formSchema[key].required,
-              initial: formSchema[key].initial,
-            })),
-          });
-
-          const answers = await form.run();
-
-          // Add structured parameters
-          for (const param of scriptResult.parameters) {
-            if (answers[param.name] && answers[param.name].trim()) {
-              paramString += ` --${param.name}="${answers[param.name].trim()}"`;
-            }
-          }
-
-          // Add additional free-form parameters
-          if (answers.additionalParams && answers.additionalParams.trim()) {
-            paramString += ` ${answers.additionalParams.trim()}`;
-          }
-        } else {
-          // No structured parameters, just get free-form parameters
-          const prompt = new Input({
-            name: "parameters",
-            message:
-              "Enter command line parameters (e.g. --foo=bar --baz=qux):",
-            initial: "",
-          });
-
-          const parameters = await prompt.run();
-          if (parameters.trim()) {
-            paramString += ` ${parameters.trim()}`;
-          }
-        }
-
-        // Append parameters to command if we have any
-        if (paramString.trim()) {
-          command += paramString;
-        }
-      } catch (err) {
-        log.warning(`Failed to get parameters: ${err.message}`);
-        log.warning("Executing script without parameters");
+        await writeScriptManifest(context);
+      } catch (error) {
+        log.warning(`Failed to save the script manifest: ${error.message}`);
       }
     }
+
+    command = await addScriptParameters(
+      getScriptRunCommand(config, scriptName, language, dependencies),
+      scriptResult
+    );
   } else {
     command = currentCommand.response.content.trim();
-  }
-
-  process.stdout.write(chalk.green("\nExecuting...\n"));
-
-  // Buffer to capture output
-  let executionOutput = "";
-  let hasError = false;
 
-  try {
-    // Split the command into program and arguments
-    const parts = command.split(" ");
-    const program = parts[0];
-    const args = parts.slice(1);
-
-    // Use spawn with pipes for stdout/stderr to capture output
-    const childProcess = spawn(program, args, {
-      shell: true,
-    });
-
-    // Flag to track if the process was manually terminated by the user
-    let terminatedByUser = false;
-
-    // Set up SIGINT (Ctrl+C) handler
-    const sigintHandler = () => {
-      // Mark that this process was terminated by user
-      terminatedByUser = true;
-      // Only kill the child process, not the parent
-      childProcess.kill("SIGINT");
-      // Don't exit the parent process
-      process.stdout.write(
-        chalk.yellow(
-          "\nCommand terminated by user. Main program still running.\n"
-        )
-      );
-    };
+    const safety = assessCommand(currentCommand.response, config);
+    if (safety.level === Risk.BLOCKED) {
+      log.error("\nThis command matches your safety deny rules.");
+      log.text("> Press any key to continue");
+      await waitKeyPressed();
+      return {
+        nextState: State.USER_RESPONSE,
+        context: { ...context, sandbox: false, background: false },
+      };
+    }
 
-    // Add the SIGINT listener
-    process.on("SIGINT", sigintHandler);
+    if (safety.level === Risk.HIGH && !(await confirmHighRisk())) {
+      log.warning("Execution cancelled.");
+      return {
+        nextState: State.USER_RESPONSE,
+        context: { ...context, sandbox: false, background: false },
+      };
+    }
+  }
 
-    // Capture stdout
-    childProcess.stdout.on("data", (data) => {
-      const text = data.toString();
-      executionOutput += text;
-      process.stdout.write(text);
-    });
+  if (context.sandbox) {
+    return runInSandbox(context, command);
+  }
 
-    // Capture stderr
-    childProcess.stderr.on("data", (data) => {
-      const text = data.toString();
-      executionOutput += text;
-      process.stderr.write(text);
-      hasError = true;
-    });
+  if (context.background) {
+    return runInBackground(context, command);
+  }
 
-    // Return a promise that resolves when the process exits
-    await new Promise((resolve, reject) => {
-      childProcess.on("close", (code) => {
-        // Remove the SIGINT listener when the child process exits
-        process.removeListener("SIGINT", sigintHandler);
-        if (code === 0 || terminatedByUser) {
-          // Resolve the promise even if terminated by user
-          resolve();
-        } else {
-          reject(new Error(`Command exited with code ${code}`));
-        }
-      });
+  if (currentCommand.autoFixAttempt) {
+    displayAutoFix(currentCommand, config);
+  }
 
-      childProcess.on("error", (err) => {
-        reject(new Error(`Failed to start command: ${err.message}`));
-      });
-    });
+  process.stdout.write(chalk.green("\nExecuting...\n"));
 
-    // Only show "Command completed" if not terminated by user (we already showed a message for that)
-    if (!terminatedByUser) {
-      process.stdout.write(chalk.green("\nCommand completed.\n"));
-    }
-  } catch (error) {
-    hasError = true;
-    executionOutput += `Error: ${error.message}\n`;
-    log.error(`Error executing command: ${error.message}`);
-  }
+  const executionResults = await runCommand(context, command);
 
-  const MAX_OUTPUT_LENGTH = 1000;
-  if (executionOutput.length > MAX_OUTPUT_LENGTH) {
-    executionOutput =
-      executionOutput.substring(0, MAX_OUTPUT_LENGTH) +
-      `\n[Output truncated - ${
-        executionOutput.length - MAX_OUTPUT_LENGTH
-      } more characters]`;
+  if (isAutoFixEnabled(context) && needsAutoFix(executionResults)) {
+    const autoFix = startAutoFix(context, executionResults);
+    if (autoFix) return autoFix;
   }
 
   log.nl();
@@ -220,25 +701,97 @@ export async function handleExecuteCommand(context) {
   const newContext = { ...context };
   newContext.currentCommand = {
     ...context.currentCommand,
-    executionResults: {
-      output: executionOutput,
-      error: hasError,
-    },
+    executionResults,
   };
 
   return { nextState: State.USER_RESPONSE, context: newContext };
 }
 
+function displayAutoFix(currentCommand, config) {
+  const { autoFixAttempt, response } = currentCommand;
+  log.header(
+    `\nAuto-fix attempt ${autoFixAttempt} of ${getMaxAttempts(config)}`
+  );
+  if (response.changelog) {
+    log.text(chalk.yellow(response.changelog));
+  }
+}
+
+// Send a failed run back to the model with its results. Resolves with null
+// once the attempts are used up.
+function startAutoFix(context, executionResults) {
+  const { currentCommand, commandHistory, config } = context;
+  const nextCommand = createAutoFixCommand(context, executionResults);
+  const maxAttempts = getMaxAttempts(config);
+
+  if (nextCommand.autoFixAttempt > maxAttempts) {
+    log.warning(
+      `\nAuto-fix gave up after ${maxAttempts} attempt${
+        maxAttempts === 1 ? "" : "s"
+      }.`
+    );
+    return null;
+  }
+
+  log.info(
+    `\nAsking the model for a fix (attempt ${nextCommand.autoFixAttempt} of ${maxAttempts})...`
+  );
+  return {
+    nextState: State.USER_REQUEST,
+    context: {
+      ...context,
+      currentCommand: nextCommand,
+      commandHistory: [
+        ...commandHistory,
+        { ...currentCommand, executionResults },
+      ],
+    },
+  };
+}
+
+async function confirmUnisolatedRun() {
+  try {
+    const prompt = new Confirm({
+      name: "run",
+      message: "Run it in the sandbox anyway?",
+      initial: false,
+    });
+    return await prompt.run();
+  } catch (error) {
+    // Cancelled with Ctrl+C or Esc
+    return false;
+  }
+}
+
+// High risk commands need the confirmation typed out instead of a single key
+async function confirmHighRisk() {
+  try {
+    const prompt = new Input({
+      name: "confirmation",
+      message: chalk.red('This command is high risk. Type "yes" to run it:'),
+    });
+    const answer = await prompt.run();
+    return answer.trim().toLowerCase() === "yes";
+  } catch (error) {
+    // Cancelled with Ctrl+C or Esc
+    return false;
+  }
+}
+
 async function createAndSaveScript(
   scriptName,
   scriptContent,
   dependencies,
+  language,
   config
 ) {
   // Create base directory using the configured scriptsDir
   const baseDir = config.scriptsDir;
-  const scriptDir = path.join(baseDir, scriptName);
-  const scriptPath = path.join(scriptDir, "index.js");
+  const { scriptDir, scriptPath } = getScriptPaths(
+    config,
+    scriptName,
+    language
+  );
 
   try {
     // Show progress
@@ -256,40 +809,14 @@ async function createAndSaveScript(
     // Create the script file
     await fs.writeFile(scriptPath, scriptContent);
 
-    // Create a basic package.json if there are dependencies
-    if (dependencies.length > 0) {
-      spinner.text = chalk.blue("Creating package.json...");
-
-      const packageJson = {
-        name: scriptName,
-        version: "1.0.0",
-        description: `Generated script for "${scriptName}"`,
-        main: "index.js",
-        type: "module",
-        dependencies: {},
-      };
-
-      // Add each dependency with a default version
-      dependencies.forEach((dep) => {
-        packageJson.dependencies[dep.trim()] = "latest";
-      });
-
-      await fs.writeFile(
-        path.join(scriptDir, "package.json"),
-        JSON.stringify(packageJson, null, 2)
-      );
-
-      spinner.text = chalk.blue("Installing dependencies...");
-      try {
-        await execAsync("npm install", { cwd: scriptDir });
-      } catch (error) {
-        spinner.stop();
-        log.error(`Error installing dependencies: ${error.message}`);
-        log.warning(
-          "You can manually install dependencies by running 'npm install' in the script directory."
-        );
-      }
-    }
+    await installScriptDependencies(
+      config,
+      scriptDir,
+      scriptName,
+      language,
+      dependencies,
+      { spinner }
+    );
 
     spinner.stop();
     log.success(`\nScript created successfully at ${scriptPath}`);
@@ -12,7 +12,11 @@ export async function handleNew(context) {
   const hasScriptsToRefine = scripts.length > 0;
 
   // Option selection
-  const options = ["Generate a command", "Generate a script"];
+  const options = [
+    "Generate a command",
+    "Generate a script",
+    "Generate a multi-step plan",
+  ];
 
   // Add "Refine an existing script" option if scripts are available
   if (hasScriptsToRefine) {
@@ -36,13 +40,14 @@ export async function handleNew(context) {
     const selectedIndex = options.findIndex((option) => option.name === answer);
 
     // Check if the user selected the "Refine an existing script" option
-    if (hasScriptsToRefine && selectedIndex === 2) {
+    if (hasScriptsToRefine && selectedIndex === 3) {
       // Go directly to script selection state
       return { nextState: State.SCRIPT_SELECTION, context };
     }
 
     // Otherwise handle command or script generation
     const isScriptMode = selectedIndex === 1; // Index 1 is "Generate a script"
+    const isPlanMode = selectedIndex === 2;
 
     // Ask for the command/script request
     clearScreen();
@@ -55,9 +60,13 @@ export async function handleNew(context) {
       name: "request",
       message: isScriptMode
         ? "Describe the script you want to create:"
+        : isPlanMode
+        ? "Describe what the plan should do:"
         : "Describe the command you want to generate:",
       hint: isScriptMode
         ? 'Example: "web scraper for news sites", "image processing tool", etc.'
+        : isPlanMode
+        ? 'Example: "set up a new git repository with a README", etc.'
         : 'Example: "find all large files", "backup my documents", etc.',
     });
 
@@ -79,10 +88,19 @@ export async function handleNew(context) {
         response: null,
       },
       scriptMode: isScriptMode,
+      planMode: isPlanMode,
     };
 
-    // Go to USER_REQUEST state to generate the response
-    return { nextState: State.USER_REQUEST, context: newContext };
+    // Go to USER_REQUEST state to generate the response, or compare the
+    // responses of several models when --compare was given (plans can't be
+    // compared)
+    return {
+      nextState:
+        context.compareModels?.length && !isPlanMode
+          ? State.COMPARE_MODELS
+          : State.USER_REQUEST,
+      context: newContext,
+    };
   } catch (error) {
     return { nextState: State.EXIT, context };
   }
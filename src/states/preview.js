@@ -0,0 +1,92 @@
+import chalk from "chalk";
+import ora from "ora";
+
+import { State } from "../machine.js";
+import log from "../log.js";
+import { generatePreview } from "../llm.js";
+import { getLocalPreview, isReadOnly } from "../preview.js";
+import { addUsage, emptyUsage } from "../usage.js";
+import { setupEscapeHandler, waitKeyPressed } from "../util.js";
+
+// Give up on the preview and return to the command
+async function cancelPreview(context, message) {
+  log.warning(message);
+  log.text("> Press any key to continue");
+  await waitKeyPressed();
+  return { nextState: State.USER_RESPONSE, context };
+}
+
+// Handle preview state - find a read-only variant of the current command
+// and hand it to the execute state
+export async function handlePreview(context) {
+  const command = context.currentCommand.response.content.trim();
+
+  // Common commands are translated locally, anything else goes to the model
+  const localPreview = getLocalPreview(command);
+  if (localPreview) {
+    return {
+      nextState: State.EXECUTE_COMMAND,
+      context: { ...context, preview: localPreview },
+    };
+  }
+
+  const spinner = ora({
+    text:
+      chalk.blue(`Generating a preview [${context.model}]...`) +
+      chalk.dim(" (press Esc to cancel)"),
+    color: "cyan",
+    discardStdin: false,
+  }).start();
+
+  const abortController = new AbortController();
+  const cleanupEscapeHandler = setupEscapeHandler(() =>
+    abortController.abort()
+  );
+
+  let result;
+  let sessionUsage = context.sessionUsage;
+  try {
+    let usage;
+    ({ result, usage } = await generatePreview(context, {
+      abortSignal: abortController.signal,
+    }));
+    sessionUsage = addUsage(sessionUsage ?? emptyUsage(), usage);
+  } catch (error) {
+    spinner.stop();
+    cleanupEscapeHandler();
+
+    if (abortController.signal.aborted) {
+      return { nextState: State.BACK, context };
+    }
+    return cancelPreview(context, `Error generating preview: ${error.message}`);
+  }
+
+  spinner.stop();
+  cleanupEscapeHandler();
+
+  const newContext = { ...context, sessionUsage };
+  const previewCommand = result.content.trim();
+
+  if (!result.previewable || !previewCommand) {
+    return cancelPreview(
+      newContext,
+      `This command can't be previewed: ${result.explanation}`
+    );
+  }
+
+  // The model's preview goes through the same checks as any other command
+  if (!isReadOnly(previewCommand)) {
+    return cancelPreview(
+      newContext,
+      `The suggested preview isn't read-only, so it won't be run:\n${previewCommand}`
+    );
+  }
+
+  return {
+    nextState: State.EXECUTE_COMMAND,
+    context: {
+      ...newContext,
+      preview: { content: previewCommand, explanation: result.explanation },
+    },
+  };
+}
@@ -1,22 +1,76 @@
 import enquirer from "enquirer";
+import fs from "fs/promises";
 import log from "../log.js";
 import { State } from "../machine.js";
+import { describeSlice, OutputSlice, sliceOutput } from "../output.js";
+import { describeExecutionStatus, getItemType } from "../util.js";
 
-const { Input } = enquirer;
+const { Input, Select } = enquirer;
+
+// Long output was compacted when it was recorded. Let the user pick which
+// part of it the model gets, read from the full output file when there is
+// one. Resolves with the execution results to send.
+async function chooseOutputSlice(executionResults, config) {
+  if (!executionResults?.compacted) return executionResults;
+
+  let fullOutput = null;
+  if (executionResults.fullOutputFile) {
+    try {
+      fullOutput = await fs.readFile(executionResults.fullOutputFile, "utf8");
+    } catch (error) {
+      log.warning(`Full output isn't available: ${error.message}`);
+    }
+  }
+
+  // Without the full output only the compacted copy can be sent
+  const slices = fullOutput
+    ? Object.values(OutputSlice)
+    : [OutputSlice.COMPACT, OutputSlice.NONE];
+
+  const selectPrompt = new Select({
+    name: "slice",
+    message: `The output has ${executionResults.outputLines} lines. What should the model see?`,
+    choices: slices.map((slice) => ({
+      name: slice,
+      message: describeSlice(slice, config),
+    })),
+  });
+  const slice = await selectPrompt.run();
+
+  if (slice === OutputSlice.COMPACT) return executionResults;
+
+  return {
+    ...executionResults,
+    output: sliceOutput(fullOutput ?? "", slice, config),
+    stdout: undefined,
+    stderr: undefined,
+    sliceDescription: describeSlice(slice, config),
+  };
+}
 
 // Handle refine state - refine command/script
 export async function handleRefine(context) {
-  const { currentCommand, scriptMode } = context;
+  const { currentCommand, scriptMode, config } = context;
+  const itemType = getItemType(context);
 
   const hasOutput = currentCommand.executionResults?.output;
+  const executionStatus = describeExecutionStatus(
+    currentCommand.executionResults
+  );
 
-  if (hasOutput) {
+  if (hasOutput || executionStatus) {
     log.detail("Your last output will be used as context for refinement");
+    if (executionStatus) log.detail(`(${executionStatus})`);
     log.nl();
+    if (currentCommand.executionResults.fullOutputFile) {
+      log.detail(
+        `Full output: ${currentCommand.executionResults.fullOutputFile}`
+      );
+    }
     if (currentCommand.executionResults.error) {
-      log.error(currentCommand.executionResults.output);
+      log.error(currentCommand.executionResults.output || "<no output>");
     } else {
-      log.text(currentCommand.executionResults.output);
+      log.text(currentCommand.executionResults.output || "<no output>");
     }
     log.nl();
   }
@@ -25,9 +79,7 @@ export async function handleRefine(context) {
     // Use Enquirer's Input prompt for refinement input
     const inputPrompt = new Input({
       name: "refinement",
-      message: `How would you like to refine the ${
-        scriptMode ? "script" : "command"
-      }?`,
+      message: `How would you like to refine the ${itemType}?`,
       hint: scriptMode
         ? 'Examples: "add error handling", "make it support CSV files", etc.'
         : 'Examples: "add verbose output", "sort results by date instead", etc.',
@@ -43,9 +95,14 @@ export async function handleRefine(context) {
       };
     }
 
+    const previousExecutionResults = await chooseOutputSlice(
+      currentCommand.executionResults,
+      config
+    );
+
     const newCurrentCommand = {
       request: refinementRequest,
-      previousExecutionResults: currentCommand.executionResults,
+      previousExecutionResults,
       type: "refinement",
     };
 
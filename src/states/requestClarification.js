@@ -1,13 +1,13 @@
 import { State } from "../machine.js";
 import log from "../log.js";
-import { capitalizeFirstLetter } from "../util.js";
+import { capitalizeFirstLetter, getItemType } from "../util.js";
 import enquirer from "enquirer";
 const { Input } = enquirer;
 
 // Handle clarification request state
 export async function handleRequestClarification(context) {
-  const { currentCommand, scriptMode } = context;
-  const itemType = scriptMode ? "script" : "command";
+  const { currentCommand } = context;
+  const itemType = getItemType(context);
 
   const clarificationNeeded = currentCommand.response.clarification_needed;
 
@@ -2,9 +2,19 @@ import { highlight } from "cli-highlight";
 import chalk from "chalk";
 import ora from "ora";
 import fs from "fs/promises";
-import path from "path";
-import { execAsync, copyToClipboard } from "../util.js";
+import { copyToClipboard } from "../util.js";
 import { State } from "../machine.js";
+import {
+  getDependencyList,
+  installScriptDependencies,
+} from "../dependencies.js";
+import { resolveScriptLanguage } from "../languages.js";
+import {
+  getScriptPaths,
+  getScriptRunCommand,
+  preserveSavedScript,
+  writeScriptManifest,
+} from "../scripts.js";
 import log from "../log.js";
 
 // Create and save the script to disk
@@ -12,13 +22,17 @@ async function createAndSaveScript(
   scriptName,
   scriptContent,
   dependencies,
+  language,
   config,
   skipDependencyInstall = false
 ) {
   // Create base directory using the configured scriptsDir
   const baseDir = config.scriptsDir;
-  const scriptDir = path.join(baseDir, scriptName);
-  const scriptPath = path.join(scriptDir, "index.js");
+  const { scriptDir, scriptPath } = getScriptPaths(
+    config,
+    scriptName,
+    language
+  );
 
   try {
     // Show progress
@@ -36,56 +50,25 @@ async function createAndSaveScript(
     // Create the script file
     await fs.writeFile(scriptPath, scriptContent);
 
-    // Create a basic package.json if there are dependencies
-    if (dependencies.length > 0) {
-      spinner.text = chalk.blue("Creating package.json...");
-
-      const packageJson = {
-        name: scriptName,
-        version: "1.0.0",
-        description: `Generated script for "${scriptName}"`,
-        main: "index.js",
-        type: "module",
-        dependencies: {},
-      };
-
-      // Add each dependency with a default version
-      dependencies.forEach((dep) => {
-        packageJson.dependencies[dep.trim()] = "latest";
-      });
-
-      await fs.writeFile(
-        path.join(scriptDir, "package.json"),
-        JSON.stringify(packageJson, null, 2)
-      );
-
-      // Install dependencies unless we're skipping it
-      if (!skipDependencyInstall) {
-        spinner.text = chalk.blue("Installing dependencies...");
-        try {
-          await execAsync("npm install", { cwd: scriptDir });
-        } catch (error) {
-          spinner.stop();
-          log.error(`Error installing dependencies: ${error.message}`);
-          log.warning(
-            "You can manually install dependencies by running 'npm install' in the script directory."
-          );
-        }
-      } else {
-        spinner.text = chalk.blue(
-          "Skipping dependency installation as requested..."
-        );
-        log.warning(
-          "\nDependencies were not installed. You can manually install them by running 'npm install' in the script directory."
-        );
-      }
-    }
+    await installScriptDependencies(
+      config,
+      scriptDir,
+      scriptName,
+      language,
+      dependencies,
+      { spinner, skipInstall: skipDependencyInstall }
+    );
 
     spinner.stop();
     log.success(`\nScript created successfully at ${scriptPath}`);
 
     // Display the command to run the script
-    const scriptRunCommand = `node ${scriptPath}`;
+    const scriptRunCommand = getScriptRunCommand(
+      config,
+      scriptName,
+      language,
+      dependencies
+    );
     log.info("\nTo run the script, use this command:");
     log.success(`  ${scriptRunCommand}`);
 
@@ -116,27 +99,43 @@ export async function handleSaveScript(context) {
   const scriptResult = currentCommand.response;
 
   // Parse dependencies
-  const dependencies = scriptResult.dependencies
-    ? scriptResult.dependencies.split(",").filter(Boolean)
-    : [];
+  const dependencies = getDependencyList(scriptResult.dependencies);
+
+  const language = resolveScriptLanguage(scriptResult, context.scriptLanguage);
 
   log.header("Script: " + scriptName);
   log.text(
     highlight(scriptResult.content, {
-      language: "javascript",
+      language,
       ignoreIllegals: true,
     })
   );
   log.nl();
 
+  // Keep the saved version as a revision before it is overwritten
+  try {
+    await preserveSavedScript(config, scriptName, language);
+  } catch (error) {
+    log.warning(`Failed to keep the saved script: ${error.message}`);
+  }
+
   // Save the script
-  await createAndSaveScript(
+  const saved = await createAndSaveScript(
     scriptName,
     scriptResult.content,
     dependencies,
+    language,
     config,
     skipDependencyInstall
   );
 
+  if (saved) {
+    try {
+      await writeScriptManifest(context);
+    } catch (error) {
+      log.warning(`Failed to save the script manifest: ${error.message}`);
+    }
+  }
+
   return { nextState: State.EXIT, context };
 }
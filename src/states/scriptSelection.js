@@ -1,13 +1,14 @@
 import enquirer from "enquirer";
 import log from "../log.js";
 import { State } from "../machine.js";
+import { detectScriptLanguage, readScriptManifest } from "../scripts.js";
 import {
   clearScreen,
   getAvailableScripts,
   loadExistingScript,
+  truncateText,
 } from "../util.js";
 import { highlight } from "cli-highlight";
-import { getRefinementPrompt } from "../prompt.js";
 
 const { Select, Input } = enquirer;
 
@@ -28,18 +29,31 @@ export async function handleScriptSelection(context) {
   log.nl();
   log.success("Select a script to refine");
 
+  // Scripts saved with a manifest are listed with what they do
+  const manifests = {};
+  for (const script of scripts) {
+    manifests[script] = await readScriptManifest(config, script);
+  }
+
   try {
     // Use Enquirer's Select prompt for script selection
     const selectPrompt = new Select({
       name: "script",
       message: "Choose a script to refine:",
-      choices: scripts.map((script) => ({
-        name: script,
-        message: script,
-      })),
+      choices: scripts.map((script) => {
+        const description =
+          manifests[script]?.explanation || manifests[script]?.request;
+        return {
+          name: script,
+          message: script,
+          hint: description ? truncateText(description, 60) : "",
+        };
+      }),
     });
 
     const selectedScript = await selectPrompt.run();
+    const manifest = manifests[selectedScript];
+    const language = await detectScriptLanguage(config, selectedScript);
 
     // Load the selected script
     const scriptContent = await loadExistingScript(selectedScript, config);
@@ -50,10 +64,12 @@ export async function handleScriptSelection(context) {
     }
 
     log.header("Selected Script: " + selectedScript);
+    if (manifest) {
+      log.detail(`Request: ${manifest.request}`);
+      if (manifest.explanation) log.detail(manifest.explanation);
+    }
     log.nl();
-    log.text(
-      highlight(scriptContent, { language: "javascript", ignoreIllegals: true })
-    );
+    log.text(highlight(scriptContent, { language, ignoreIllegals: true }));
     log.nl();
 
     // Ask the user how they want to refine the script
@@ -69,15 +85,17 @@ export async function handleScriptSelection(context) {
     const newContext = {
       ...context,
       currentCommand: {
-        request: getRefinementPrompt({
-          existingScript: scriptContent,
-          request: refinementRequest,
-        }),
+        request: refinementRequest,
         existingScript: scriptContent,
+        // Sent along with the source so the model knows what the script
+        // was made for and how it changed
+        scriptManifest: manifest,
         type: "prompt",
         response: null,
       },
       scriptName: selectedScript,
+      // Refinements stay in the language the script is written in
+      scriptLanguage: language,
       scriptMode: true,
     };
 
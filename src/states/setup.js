@@ -6,9 +6,129 @@ import os from "os";
 import log from "../log.js";
 import { State } from "../machine.js";
 import { clearScreen } from "../util.js";
-import { providerModels, validProviders } from "../models.js";
+import { discoverModels, fetchProviderModels } from "../modelDiscovery.js";
+import {
+  OPENAI_COMPATIBLE,
+  parseModelString,
+  validProviders,
+} from "../models.js";
+
+const { Select, MultiSelect, Form, List, Confirm } = enquirer;
+
+// Parse "Header: value, Other-Header: value" into a headers object
+function parseHeaders(input) {
+  const headers = {};
+  (input || "")
+    .split(",")
+    .map((header) => header.trim())
+    .filter(Boolean)
+    .forEach((header) => {
+      const separatorIndex = header.indexOf(":");
+      if (separatorIndex > 0) {
+        headers[header.slice(0, separatorIndex).trim()] = header
+          .slice(separatorIndex + 1)
+          .trim();
+      }
+    });
+  return headers;
+}
 
-const { Select, MultiSelect, Form, List } = enquirer;
+function formatHeaders(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(", ");
+}
+
+// Ask for the details of a user-defined OpenAI-compatible provider
+async function promptCustomProvider(existingNames) {
+  const formPrompt = new Form({
+    name: "customProvider",
+    message: "Enter configuration for the OpenAI-compatible provider:",
+    choices: [
+      {
+        name: "name",
+        message: "Name (used as name/model)",
+        required: true,
+      },
+      {
+        name: "baseURL",
+        message: "Base URL",
+        initial: "http://localhost:8000/v1",
+        required: true,
+      },
+      { name: "apiKey", message: "API Key (optional)" },
+      {
+        name: "headers",
+        message: "Extra headers (optional, e.g. X-Team: cli)",
+      },
+      {
+        name: "models",
+        message: "Models (comma-separated, empty to list from the server)",
+      },
+    ],
+  });
+
+  const answers = await formPrompt.run();
+  const name = answers.name.trim();
+
+  if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+    log.error(
+      `Invalid provider name "${name}". Use letters, numbers, "-" and "_" only.`
+    );
+    return null;
+  }
+
+  if (validProviders.includes(name) || existingNames.includes(name)) {
+    log.error(`A provider named "${name}" already exists.`);
+    return null;
+  }
+
+  const provider = {
+    type: OPENAI_COMPATIBLE,
+    baseURL: answers.baseURL.trim(),
+  };
+
+  if (answers.apiKey?.trim()) {
+    provider.apiKey = answers.apiKey.trim();
+  }
+
+  const headers = parseHeaders(answers.headers);
+  if (Object.keys(headers).length > 0) {
+    provider.headers = headers;
+  }
+
+  let modelNames = (answers.models || "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+  // No models given, ask the server which ones it serves
+  if (modelNames.length === 0) {
+    let servedModels = [];
+    try {
+      servedModels = await fetchProviderModels(name, provider);
+    } catch (error) {
+      log.error(`Could not list models from ${provider.baseURL}: ${error.message}`);
+    }
+
+    if (servedModels.length === 0) {
+      log.error("No models were given or found for this provider.");
+      return null;
+    }
+
+    const modelPrompt = new MultiSelect({
+      name: "customModels",
+      message: `Select the ${name} models you want to use:`,
+      choices: servedModels,
+      hint: "Space to select, enter to confirm",
+    });
+    modelNames = await modelPrompt.run();
+  }
+
+  const models = modelNames.map((model) => `${name}/${model}`);
+
+  return { name, provider, models };
+}
 
 // Handle first-time setup for users without a config file
 export async function handleSetup(context) {
@@ -29,23 +149,53 @@ export async function handleSetup(context) {
   log.nl();
   log.info("Step 1: Select the models you want to use");
 
+  // Use the live model lists of providers that are already configured,
+  // falling back to the built-in lists
+  const availableModels = Object.fromEntries(
+    await Promise.all(
+      validProviders
+        .filter((provider) => provider !== "ollama")
+        .map(async (provider) => {
+          const { models } = await discoverModels(currentConfig, provider);
+          return [provider, models];
+        })
+    )
+  );
+
   // Prepare choices for MultiSelect
   const choices = [];
   for (const provider of validProviders) {
     if (provider === "ollama") {
       choices.push({ name: "ollama", value: "ollama" });
     } else {
-      providerModels[provider].forEach((model) => {
+      availableModels[provider].forEach((model) => {
         choices.push({ name: `${provider}/${model}`, value: `${provider}/${model}` });
       });
     }
   }
 
-  const flatProviderModels = Object.entries(providerModels).flatMap(
+  // Keep the models of user-defined providers from the existing config
+  const customProviders = Object.entries(currentConfig?.providers ?? {})
+    .filter(([, provider]) => provider.type === OPENAI_COMPATIBLE)
+    .map(([name]) => name);
+  const customModels = (currentConfig?.models ?? []).filter((model) =>
+    customProviders.includes(parseModelString(model).provider)
+  );
+  customModels.forEach((model) => {
+    choices.push({ name: model, value: model });
+  });
+
+  choices.push({
+    name: OPENAI_COMPATIBLE,
+    message: "Add an OpenAI-compatible provider (vLLM, LM Studio, gateways...)",
+    value: OPENAI_COMPATIBLE,
+  });
+
+  const flatProviderModels = Object.entries(availableModels).flatMap(
     ([provider, models]) => models.map((model) => `${provider}/${model}`)
   );
   const initialModels = currentConfig?.models?.filter(
-    (model) => flatProviderModels.includes(model)
+    (model) => flatProviderModels.includes(model) || customModels.includes(model)
   ) ?? [];
 
   if (currentConfig?.models?.find((model) => model.startsWith("ollama/"))) {
@@ -114,16 +264,37 @@ export async function handleSetup(context) {
           .join(", ")
       : "";
 
-    // Special handling for ollama - ask for model names
-    const ollamaPrompt = new List({
-      name: "ollamaModels",
-      message: "Enter the ollama models you want to use (comma-separated):",
-      initial: existingOllamaModels,
-      hint: existingOllamaModels ? "" : "llama3, mistral, phi3",
-    });
+    // Ask the local ollama server which models are installed
+    const { models: installedOllamaModels } = await discoverModels(
+      currentConfig,
+      "ollama"
+    );
+
+    if (installedOllamaModels.length > 0) {
+      const ollamaPrompt = new MultiSelect({
+        name: "ollamaModels",
+        message: "Select the ollama models you want to use:",
+        choices: installedOllamaModels,
+        hint: "Space to select, enter to confirm",
+        initial: existingOllamaModels
+          .split(",")
+          .map((m) => m.trim())
+          .filter((m) => installedOllamaModels.includes(m)),
+      });
 
-    const response = await ollamaPrompt.run();
-    ollamaModels = response.map((m) => m.trim());
+      ollamaModels = await ollamaPrompt.run();
+    } else {
+      // Special handling for ollama - ask for model names
+      const ollamaPrompt = new List({
+        name: "ollamaModels",
+        message: "Enter the ollama models you want to use (comma-separated):",
+        initial: existingOllamaModels,
+        hint: existingOllamaModels ? "" : "llama3, mistral, phi3",
+      });
+
+      const response = await ollamaPrompt.run();
+      ollamaModels = response.map((m) => m.trim());
+    }
 
     // Add ollama models with provider prefix if needed
     ollamaModels.forEach((model) => {
@@ -139,10 +310,46 @@ export async function handleSetup(context) {
     selectedProviders.add("ollama");
   }
 
+  // Add user-defined OpenAI-compatible providers (Step 1.2)
+  const newCustomProviders = {};
+  if (selectedModels.includes(OPENAI_COMPATIBLE)) {
+    log.nl();
+    log.info("Step 1.2: Configure OpenAI-compatible providers");
+
+    let addAnother = true;
+    while (addAnother) {
+      let customProvider;
+      try {
+        customProvider = await promptCustomProvider([
+          ...customProviders,
+          ...Object.keys(newCustomProviders),
+        ]);
+      } catch (error) {
+        log.warning("Skipping OpenAI-compatible provider.");
+        break;
+      }
+
+      if (customProvider) {
+        newCustomProviders[customProvider.name] = customProvider.provider;
+        models.push(...customProvider.models);
+        log.success(
+          `Added ${customProvider.name} with ${customProvider.models.length} model(s)`
+        );
+      }
+
+      const confirmPrompt = new Confirm({
+        name: "addAnother",
+        message: "Add another OpenAI-compatible provider?",
+        initial: false,
+      });
+      addAnother = await confirmPrompt.run().catch(() => false);
+    }
+  }
+
   // Process other selected models
   selectedModels.forEach((model) => {
-    if (model !== "ollama") {
-      const [provider] = model.split("/");
+    if (model !== "ollama" && model !== OPENAI_COMPATIBLE) {
+      const { provider } = parseModelString(model);
       selectedProviders.add(provider);
       models.push(model);
     }
@@ -152,14 +359,60 @@ export async function handleSetup(context) {
   log.nl();
   log.info("Step 2: Configure providers");
 
+  // Keep any other settings (directories, etc.) from the existing config
   const config = {
+    ...(isExistingConfig ? currentConfig : {}),
     providers: {},
     models: [],
   };
 
+  Object.assign(config.providers, newCustomProviders);
+
   // For each selected provider, ask for API Key and optionally baseURL
   for (const provider of selectedProviders) {
-    if (provider === "ollama") {
+    if (customProviders.includes(provider)) {
+      const existingProvider = currentConfig.providers[provider];
+      log.info(`\nConfiguring ${provider}...`);
+
+      const formPrompt = new Form({
+        name: "customProviderConfig",
+        message: `Enter configuration for ${provider}:`,
+        choices: [
+          {
+            name: "baseURL",
+            message: "Base URL",
+            initial: existingProvider.baseURL,
+            required: true,
+          },
+          {
+            name: "apiKey",
+            message: "API Key (optional)",
+            initial: existingProvider.apiKey,
+          },
+          {
+            name: "headers",
+            message: "Extra headers (optional, e.g. X-Team: cli)",
+            initial: formatHeaders(existingProvider.headers),
+          },
+        ],
+      });
+
+      const providerConfig = await formPrompt.run();
+
+      config.providers[provider] = {
+        type: OPENAI_COMPATIBLE,
+        baseURL: providerConfig.baseURL,
+      };
+
+      if (providerConfig.apiKey) {
+        config.providers[provider].apiKey = providerConfig.apiKey;
+      }
+
+      const headers = parseHeaders(providerConfig.headers);
+      if (Object.keys(headers).length > 0) {
+        config.providers[provider].headers = headers;
+      }
+    } else if (provider === "ollama") {
       log.info(`\nConfiguring ${provider}...`);
 
       // Get existing baseURL if available
@@ -1,146 +1,208 @@
-import { generateObject } from "ai";
 import chalk from "chalk";
 import ora from "ora";
 import enquirer from "enquirer";
+
+import { canRunWithoutConfirmation } from "../autoFix.js";
+import { generateResponse } from "../llm.js";
+import { addUsage, emptyUsage } from "../usage.js";
 import {
-  getScriptPrompt,
-  getCommandPrompt,
-  commandSchema,
-  scriptSchema,
-  getClarificationPrompt,
-  getRefinementPrompt,
-} from "../prompt.js";
-
-import { getModel } from "../models.js";
-import { getApiKeyForModel, getBaseURLForModel } from "../config.js";
-import { generateRandomHash } from "../util.js";
+  generateRandomHash,
+  getItemType,
+  setupEscapeHandler,
+  waitKeyPressed,
+} from "../util.js";
 import { State } from "../machine.js";
 import log from "../log.js";
 
-function buildMessagesLLM(context) {
-  const { currentCommand, scriptMode, commandHistory, systemInfo } = context;
-  const messages = [];
-  const getSystemPrompt = scriptMode ? getScriptPrompt : getCommandPrompt;
+// An explained command is the user's own: the model may answer with a
+// "fixed" version, but the one that is assessed and run stays the one they
+// gave. A different version is kept as suggestedCommand to warn about it.
+export function keepExplainedCommand(command, result) {
+  const normalize = (text) => text.trim().replace(/\s+/g, " ");
+  if (normalize(result.content ?? "") === normalize(command)) {
+    return { ...result, content: command };
+  }
+  return { ...result, content: command, suggestedCommand: result.content };
+}
+
+// Keep the streamed preview within the terminal so the spinner can redraw it
+function fitToTerminal(text) {
+  const maxLines = Math.max((process.stdout.rows || 24) - 4, 5);
+  const lines = text.split("\n");
+  return lines.length > maxLines
+    ? lines.slice(lines.length - maxLines).join("\n")
+    : text;
+}
+
+// Plans are shown as a numbered list of steps
+function renderPartialPlan(partial) {
+  const lines = [];
 
-  const systemPrompt = getSystemPrompt({
-    systemInfo,
+  const steps = (partial.steps ?? []).filter((step) => step?.command);
+  steps.forEach((step, index) => {
+    lines.push(
+      chalk.white.bold(`${index + 1}. ${step.command}`) +
+        (step.description ? chalk.dim(` - ${step.description}`) : "")
+    );
   });
 
-  const getPrompt = (command) => {
-    return command.type === "clarification"
-      ? getClarificationPrompt({ request: command.request })
-      : command.type === "refinement"
-      ? getRefinementPrompt({
-          request: command.request,
-          executionResults: command.previousExecutionResults?.output,
-        })
-      : command.request;
-  };
-
-  messages.push({ role: "system", type: "text", content: systemPrompt });
-
-  commandHistory.forEach((command) => {
-    messages.push({
-      role: "user",
-      type: "text",
-      content: getPrompt(command),
-    });
-    messages.push({
-      role: "assistant",
-      content: JSON.stringify(command.response),
+  if (partial.explanation) {
+    lines.push("", chalk.cyan("Explanation: ") + partial.explanation);
+  }
+
+  return fitToTerminal(lines.join("\n"));
+}
+
+// Render the partially generated response while it streams in
+function renderPartialResponse(partial, scriptMode, planMode) {
+  if (planMode) return renderPartialPlan(partial);
+
+  const lines = [];
+
+  if (partial.content) {
+    lines.push(scriptMode ? partial.content : chalk.bold(partial.content));
+  }
+
+  if (partial.explanation) {
+    lines.push("", chalk.cyan("Explanation: ") + partial.explanation);
+  }
+
+  const breakdown = (partial.breakdown ?? []).filter((step) => step?.command);
+  if (!scriptMode && breakdown.length > 0) {
+    lines.push("", chalk.cyan("Breakdown:"));
+    breakdown.forEach((step) => {
+      lines.push(
+        chalk.white.bold(`  ${step.command}`) +
+          (step.description ? chalk.dim(` - ${step.description}`) : "")
+      );
     });
-  });
+  }
 
-  messages.push({
-    role: "user",
-    type: "text",
-    content: getPrompt(currentCommand),
-  });
+  return fitToTerminal(lines.join("\n"));
+}
+
+// Generate a new script name for initial creation
+export function createScriptName(result) {
+  let scriptName = result.script_name || "generated-script";
+
+  // Ensure the script name is in kebab-case format
+  scriptName = scriptName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  // Generate and append the random hash
+  const randomHash = generateRandomHash();
+  return `${scriptName}-${randomHash}`;
+}
+
+// After a failed generation, return to the last response (or the start)
+// with the conversation intact instead of exiting
+export async function recoverFromFailure(context) {
+  log.nl();
+  log.text("> Press any key to continue");
+  await waitKeyPressed();
+
+  return restoreLastResponse(context);
+}
 
-  return messages;
+function restoreLastResponse(context) {
+  const { currentCommand, commandHistory } = context;
+
+  // The current command already has a response, e.g. after a model change
+  if (currentCommand.response) {
+    return { nextState: State.USER_RESPONSE, context };
+  }
+
+  if (commandHistory.length > 0) {
+    return {
+      nextState: State.USER_RESPONSE,
+      context: {
+        ...context,
+        currentCommand: commandHistory[commandHistory.length - 1],
+        commandHistory: commandHistory.slice(0, -1),
+      },
+    };
+  }
+
+  return { nextState: State.NEW, context };
 }
 
 // Handle user request state - initial command/script generation
 export async function handleUserRequest(context) {
-  const { config, currentCommand, scriptMode } = context;
+  const { currentCommand, scriptMode, planMode } = context;
+  const itemType = getItemType(context);
+
+  const thinkingText =
+    chalk.blue(`Thinking [${context.model}]...`) +
+    chalk.dim(" (press Esc to cancel)");
+  let statusText = thinkingText;
 
   // Generate the command or script
   const spinner = ora({
-    text: chalk.blue(`Thinking [${context.model}]...`),
+    text: thinkingText,
     color: "cyan",
+    discardStdin: false,
   }).start();
 
+  // ESC cancels the generation and returns to the previous state
+  const abortController = new AbortController();
+  const cleanupEscapeHandler = setupEscapeHandler(() =>
+    abortController.abort()
+  );
+
   try {
-    let result;
     let newScriptName;
 
-    const messages = buildMessagesLLM(context, config);
-
-    // Get the model function
-    const modelFn = getModel({
-      model: context.model,
-      apiKey: getApiKeyForModel(config, context.model),
-      baseURL: getBaseURLForModel(config, context.model),
+    const { result, model, usage } = await generateResponse(context, {
+      abortSignal: abortController.signal,
+      onPartial: (partial) => {
+        spinner.text =
+          statusText +
+          "\n\n" +
+          renderPartialResponse(partial, scriptMode, planMode);
+      },
+      onStatus: (message) => {
+        statusText = thinkingText + "\n" + chalk.yellow(message);
+        spinner.text = statusText;
+      },
     });
 
-    let response;
-    const modelName = context.model.split("/")[1];
-
-    if (scriptMode) {
-      // Use generateObject with scriptSchema
-      response = await generateObject({
-        model: modelFn(modelName, { structuredOutputs: true }),
-        schema: scriptSchema,
-        messages,
-        temperature: 0,
-      });
-
-      // Use the structured output directly
-      result = response.object;
+    cleanupEscapeHandler();
 
-      // Generate a new script name for initial creation
-      let scriptName = result.script_name || "generated-script";
-
-      // Ensure the script name is in kebab-case format
-      scriptName = scriptName
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-|-$/g, "");
-
-      // Generate and append the random hash
-      const randomHash = generateRandomHash();
-      newScriptName = `${scriptName}-${randomHash}`;
-    } else {
-      // Use generateObject with commandSchema
-      response = await generateObject({
-        model: modelFn(modelName, { structuredOutputs: true }),
-        schema: commandSchema,
-        messages,
-        temperature: 0,
-      });
-
-      // Use the structured output directly
-      result = response.object;
+    if (scriptMode && result) {
+      newScriptName = createScriptName(result);
     }
 
     spinner.stop();
 
     if (!result) {
-      log.error(`Failed to generate a ${scriptMode ? "script" : "command"}.`);
-      return { nextState: State.EXIT };
+      log.error(`Failed to generate a ${itemType}.`);
+      return recoverFromFailure(context);
     }
 
     const newContext = {
       ...context,
+      // A fallback model may have answered, keep using it
+      model,
+      sessionUsage: addUsage(context.sessionUsage ?? emptyUsage(), usage),
       currentCommand: {
         ...context.currentCommand,
-        response: result,
+        response:
+          currentCommand.type === "explain"
+            ? keepExplainedCommand(currentCommand.request, result)
+            : result,
       },
       scriptName: context.scriptName || newScriptName,
     };
 
     // Check if command should be a script instead
-    if (!scriptMode && result.should_be_script === true) {
+    if (
+      !scriptMode &&
+      !planMode &&
+      currentCommand.type !== "explain" &&
+      result.should_be_script === true
+    ) {
       log.nl();
       log.warning(
         "This request might be better implemented as a script rather than a command."
@@ -161,7 +223,11 @@ export async function handleUserRequest(context) {
           log.info("\nSwitching to script mode...");
           return {
             nextState: State.USER_REQUEST,
-            context: { ...context, scriptMode: true },
+            context: {
+              ...context,
+              scriptMode: true,
+              sessionUsage: newContext.sessionUsage,
+            },
           };
         }
       } catch (error) {
@@ -172,6 +238,13 @@ export async function handleUserRequest(context) {
       }
     }
 
+    if (
+      currentCommand.autoFixAttempt &&
+      canRunWithoutConfirmation(context, result)
+    ) {
+      return { nextState: State.EXECUTE_COMMAND, context: newContext };
+    }
+
     if (
       !currentCommand.refusedClarification &&
       result.clarification_needed &&
@@ -186,10 +259,15 @@ export async function handleUserRequest(context) {
     }
   } catch (error) {
     spinner.stop();
-    log.error(
-      `Error generating ${scriptMode ? "script" : "command"}: ${error.message}`
-    );
-    console.error(error);
-    return { nextState: State.EXIT, context };
+    cleanupEscapeHandler();
+
+    if (abortController.signal.aborted) {
+      // Going back would run the failed command again
+      if (currentCommand.autoFixAttempt) return restoreLastResponse(context);
+      return { nextState: State.BACK, context };
+    }
+
+    log.error(`Error generating ${itemType}: ${error.message}`);
+    return recoverFromFailure(context);
   }
 }
@@ -1,11 +1,43 @@
 import chalk from "chalk";
+import fs from "fs/promises";
 
 import { State } from "../machine.js";
 import log from "../log.js";
-import { clearScreen, copyToClipboard, setupKeypressHandler } from "../util.js";
+import { assessCommand, compareRisk, Risk } from "../safety.js";
+import { getMaxAttempts } from "../autoFix.js";
+import {
+  describeUnknownDependency,
+  findUnknownDependencies,
+  formatDependency,
+  getDependencyList,
+} from "../dependencies.js";
+import { countChanges, diffLines, formatDiff } from "../diff.js";
+import { resolveScriptLanguage } from "../languages.js";
+import { getSavedScriptPaths } from "../scripts.js";
+import { formatPlanAsShell } from "../plan.js";
+import {
+  capitalizeFirstLetter,
+  clearScreen,
+  copyToClipboard,
+  describeExecutionStatus,
+  getItemType,
+  setupKeypressHandler,
+} from "../util.js";
+
+// Warn when the model explained a changed version of the user's command
+export function displaySuggestedCommand(response) {
+  if (!response.suggestedCommand) return;
+  log.warning(
+    "\nThe model answered with a different command, so the explanation may describe that one instead:"
+  );
+  log.text(chalk.dim(response.suggestedCommand.trim()));
+  log.warning(
+    "Your command is the one that is checked and run. Refine it to adopt the change."
+  );
+}
 
 // Display command breakdown with detailed information
-function displayCommandBreakdown(currentCommand) {
+export function displayCommandBreakdown(currentCommand) {
   // Show explanation
   if (currentCommand.explanation) {
     log.info("\nExplanation:");
@@ -37,23 +69,87 @@ function displayCommandBreakdown(currentCommand) {
 
     log.nl();
   }
+}
+
+// Show the findings of the local safety check
+export function displaySafety(safety) {
+  if (safety.findings.length === 0) return;
+
+  const color = safety.level === Risk.LOW ? chalk.yellow : chalk.red;
+  log.text(
+    color.bold(`Safety check: ${safety.level} risk`) +
+      (safety.underReported
+        ? chalk.dim(" (higher than the model reported)")
+        : "")
+  );
+  safety.findings.forEach(({ level, message, text }) => {
+    log.text(
+      (level === Risk.LOW ? chalk.yellow : chalk.red)(`  - ${message}`) +
+        chalk.dim(` (${text})`)
+    );
+  });
+}
+
+// Compare a script with the version saved under its name, so a refinement
+// can be checked before it overwrites it. Resolves with the line changes, or
+// null when nothing is saved or nothing changed.
+async function getSavedScriptChanges({ config, scriptName, currentCommand }) {
+  const { scriptPath } = await getSavedScriptPaths(config, scriptName);
+  let saved;
+  try {
+    saved = await fs.readFile(scriptPath, "utf8");
+  } catch (error) {
+    return null;
+  }
 
-  log.detail("\nPress any key to return...");
+  const changes = diffLines(saved, currentCommand.response.content);
+  return changes.some(({ type }) => type !== " ") ? changes : null;
+}
+
+// Only commands that could change something are worth previewing
+function canPreview(safety) {
+  return compareRisk(safety.level, Risk.MEDIUM) >= 0;
 }
 
 function displayOptions(
   currentCommand,
   hasMultipleModels,
   scriptMode,
-  options = {}
+  options = {},
+  config = {},
+  planMode = false,
+  savedChanges = null
 ) {
   const { response, executionResults } = currentCommand;
   const hasOutput = executionResults?.output;
 
-  if (scriptMode) {
+  if (planMode) {
+    if (response?.caution) {
+      log.warning("Caution: " + response.caution);
+    }
+
+    log.nl();
+    log.info(
+      "  • Press Enter to run the plan step by step (each step is confirmed)"
+    );
+    log.info("  • Press 'c' to copy the plan and exit");
+    log.info("  • Press 's' to convert this to a script instead");
+    log.info(
+      "  • Press 'r' to refine/modify the plan" +
+        (hasOutput ? " (with the output)" : "")
+    );
+  } else if (scriptMode) {
     // Setup command for decision making
     log.info("  • Press Enter to execute the script");
+    log.info(
+      "  • Press 'x' to try it in a sandbox (a throwaway copy of this directory)"
+    );
+    log.info("  • Press 'j' to run it in the background (see ai2cli jobs)");
     log.info("  • Press 'c' to copy the script and exit");
+    log.info("  • Press 'e' to edit the script in your editor");
+    if (savedChanges) {
+      log.info("  • Press 'v' to view the changes to the saved script");
+    }
     log.info(
       "  • Press 'r' to refine/modify the script" +
         (hasOutput ? " (with the output)" : "")
@@ -69,18 +165,43 @@ function displayOptions(
       log.warning("Caution: " + response.caution);
     }
 
+    const safety = assessCommand(response, config);
+    displaySafety(safety);
+
     // Setup readline interface
     log.nl();
-    log.info("  • Press Enter to execute the command");
+    if (safety.level === Risk.BLOCKED) {
+      log.error("  • Execution is blocked by your safety deny rules");
+    } else if (safety.level === Risk.HIGH) {
+      log.info(
+        "  • Press Enter to execute the command (requires typed confirmation)"
+      );
+    } else {
+      log.info("  • Press Enter to execute the command");
+    }
     log.info("  • Press 'c' to copy the command and exit");
+    log.info("  • Press 'e' to edit the command");
     log.info("  • Press 's' to convert this to a script instead");
+    log.info("  • Press 'l' to turn this into a step-by-step plan");
     log.info(
       "  • Press 'r' to refine/modify the command" +
         (hasOutput ? " (with the output)" : "")
     );
+    if (safety.level !== Risk.BLOCKED) {
+      log.info(
+        "  • Press 'x' to try it in a sandbox (a throwaway copy of this directory)"
+      );
+      log.info("  • Press 'j' to run it in the background (see ai2cli jobs)");
+    }
+    if (canPreview(safety)) {
+      log.info("  • Press 'p' to preview the files the command would change");
+    }
     if (response?.breakdown) {
       log.info("  • Press 'b' to see detailed command breakdown");
     }
+    if (options.insertFile) {
+      log.info("  • Press 'i' to insert the command into your shell prompt");
+    }
   }
   if (hasMultipleModels) {
     log.info("  • Press 'm' to re-run with a different model");
@@ -92,7 +213,10 @@ function displayOptions(
 }
 // Handle generate state - display command/script and options
 export async function handleUserResponse(context) {
-  const { currentCommand, options, scriptMode, hasMultipleModels } = context;
+  const { currentCommand, options, scriptMode, planMode, hasMultipleModels } =
+    context;
+  // Keys that only apply to a single command
+  const commandMode = !scriptMode && !planMode;
 
   if (context.scriptMode) {
     log.info("\nScript name: " + context.scriptName);
@@ -105,17 +229,51 @@ export async function handleUserResponse(context) {
     }
 
     log.info("\nRequired dependencies:");
-    const dependencies = currentCommand.response.dependencies
-      ? currentCommand.response.dependencies.split(",").filter(Boolean)
-      : [];
+    const dependencies = getDependencyList(
+      currentCommand.response.dependencies
+    );
+    // Packages that will need confirming are marked now, before running
+    const unknown = await findUnknownDependencies(
+      dependencies,
+      resolveScriptLanguage(currentCommand.response, context.scriptLanguage),
+      context.config
+    );
     if (dependencies.length > 0) {
-      dependencies.forEach((dep) => log.text(`- ${dep.trim()}`));
+      dependencies.forEach((dep) => {
+        const unknownDep = unknown.find(({ name }) => name === dep.name);
+        log.text(
+          unknownDep
+            ? chalk.yellow("? ") + describeUnknownDependency(unknownDep)
+            : `- ${formatDependency(dep)}`
+        );
+      });
+      if (unknown.some((dep) => dep.invalid)) {
+        log.error(
+          "Dependencies that aren't a registry package with a version range can't be installed. Refine the script to fix them."
+        );
+      } else if (unknown.length > 0) {
+        log.warning(
+          "Packages marked with ? aren't in the allowlist or the npm cache." +
+            (context.config.dependencies?.confirmUnknown === false
+              ? ""
+              : " You'll be asked before they are installed.")
+        );
+      }
     } else {
       log.text("No external dependencies required");
     }
     log.nl();
   }
 
+  const savedChanges = scriptMode ? await getSavedScriptChanges(context) : null;
+  if (savedChanges) {
+    const { added, removed } = countChanges(savedChanges);
+    log.warning(
+      `This changes the saved ${context.scriptName} (+${added} -${removed} lines). The saved version is kept and can be restored with: ai2cli scripts rollback ${context.scriptName}`
+    );
+    log.nl();
+  }
+
   // If there's a changelog and this is a refinement or clarification, display it
   if (
     currentCommand.response.changelog &&
@@ -127,20 +285,74 @@ export async function handleUserResponse(context) {
     log.nl();
   }
 
-  if (currentCommand.executionResults?.output) {
+  if (currentCommand.autoFixAttempt && !currentCommand.executionResults) {
+    log.info(
+      `Auto-fix attempt ${currentCommand.autoFixAttempt} of ${getMaxAttempts(
+        context.config
+      )}: review the fix before running it.`
+    );
+  }
+
+  // An explained command is shown with its breakdown right away
+  if (currentCommand.type === "explain") {
+    displayCommandBreakdown(currentCommand.response);
+    displaySuggestedCommand(currentCommand.response);
+  }
+
+  const { executionResults } = currentCommand;
+  const executionStatus = describeExecutionStatus(executionResults);
+  if (executionResults?.output || executionStatus) {
     log.header("\nLast Output:");
+    if (executionStatus) log.detail(`(${executionStatus})`);
+    if (executionResults.fullOutputFile) {
+      log.detail(`Compacted, full output: ${executionResults.fullOutputFile}`);
+    }
     log.nl();
-    if (currentCommand.executionResults?.error) {
-      log.error(currentCommand.executionResults.output ?? "<no output>");
-    } else if (currentCommand.executionResults?.output) {
-      log.text(currentCommand.executionResults.output);
+    if (executionResults.error) {
+      log.error(executionResults.output || "<no output>");
+    } else {
+      log.text(executionResults.output || "<no output>");
     }
   }
 
-  displayOptions(currentCommand, hasMultipleModels, scriptMode, options);
+  displayOptions(
+    currentCommand,
+    hasMultipleModels,
+    scriptMode,
+    options,
+    context.config,
+    planMode,
+    savedChanges
+  );
 
   // Set up keypress handler for user interaction
   return new Promise((resolve) => {
+    // Replace the options with another screen until a key is pressed
+    const showScreen = (render) => {
+      cleanupHandler();
+      clearScreen();
+      render();
+      log.detail("\nPress any key to return...");
+
+      // Wait for a key press to return to main screen
+      const returnHandler = () => {
+        cleanupTempHandler();
+        // Return to command display
+        displayOptions(
+          currentCommand,
+          hasMultipleModels,
+          scriptMode,
+          options,
+          context.config,
+          planMode,
+          savedChanges
+        );
+        cleanupHandler = setupKeypressHandler(keypressHandler);
+      };
+
+      const cleanupTempHandler = setupKeypressHandler(returnHandler);
+    };
+
     const keypressHandler = (str, key) => {
       if (key.name === "return") {
         // Execute command or save script
@@ -150,45 +362,91 @@ export async function handleUserResponse(context) {
           context,
         });
       } else if (key.name === "c") {
-        // Copy command to clipboard and exit (command mode only)
+        // Copy the command or plan to clipboard and exit
         cleanupHandler();
-        copyToClipboard(currentCommand.response.content.trim()).then(
-          (success) => {
-            if (success) {
-              log.success("\nCommand copied to clipboard");
-            } else {
-              log.warning("\nFailed to copy command to clipboard");
-            }
-            resolve({ nextState: State.EXIT, context });
+        const itemType = getItemType(context);
+        copyToClipboard(
+          planMode
+            ? formatPlanAsShell(currentCommand.response)
+            : currentCommand.response.content.trim()
+        ).then((success) => {
+          if (success) {
+            log.success(
+              `\n${capitalizeFirstLetter(itemType)} copied to clipboard`
+            );
+          } else {
+            log.warning(`\nFailed to copy ${itemType} to clipboard`);
           }
-        );
-      } else if (key.name === "b" && !scriptMode) {
+          resolve({ nextState: State.EXIT, context });
+        });
+      } else if (key.name === "e" && !planMode) {
+        // Change the command or script by hand
+        cleanupHandler();
+        resolve({ nextState: State.EDIT, context });
+      } else if (key.name === "i" && commandMode && options.insertFile) {
+        // Hand the command back to the shell widget and exit
+        cleanupHandler();
+        fs.writeFile(options.insertFile, currentCommand.response.content.trim())
+          .then(() => resolve({ nextState: State.EXIT, context }))
+          .catch((error) => {
+            log.error(`\nFailed to insert command: ${error.message}`);
+            resolve({ nextState: State.EXIT, context });
+          });
+      } else if (key.name === "b" && commandMode) {
         // Show detailed breakdown (command mode only)
+        showScreen(() => displayCommandBreakdown(currentCommand.response));
+      } else if (key.name === "v" && savedChanges) {
+        // Show what saving would change in the saved script
+        showScreen(() => log.text(formatDiff(savedChanges)));
+      } else if (
+        key.name === "p" &&
+        commandMode &&
+        canPreview(assessCommand(currentCommand.response, context.config))
+      ) {
+        // Preview what the command would change before running it
+        cleanupHandler();
+        resolve({ nextState: State.PREVIEW, context });
+      } else if (
+        key.name === "x" &&
+        !planMode &&
+        (scriptMode ||
+          assessCommand(currentCommand.response, context.config).level !==
+            Risk.BLOCKED)
+      ) {
+        // Execute against a copy of the working directory
+        cleanupHandler();
+        resolve({
+          nextState: State.EXECUTE_COMMAND,
+          context: { ...context, sandbox: true },
+        });
+      } else if (
+        key.name === "j" &&
+        !planMode &&
+        (scriptMode ||
+          assessCommand(currentCommand.response, context.config).level !==
+            Risk.BLOCKED)
+      ) {
+        // Detach the command and log its output to a file
         cleanupHandler();
-        clearScreen();
-        displayCommandBreakdown(currentCommand.response);
-
-        // Wait for a key press to return to main screen
-        const returnHandler = () => {
-          cleanupTempHandler();
-          // Return to command display
-          displayOptions(
-            currentCommand.response,
-            hasMultipleModels,
-            scriptMode,
-            options
-          );
-          cleanupHandler = setupKeypressHandler(keypressHandler);
-        };
-
-        const cleanupTempHandler = setupKeypressHandler(returnHandler);
+        resolve({
+          nextState: State.EXECUTE_COMMAND,
+          context: { ...context, background: true },
+        });
       } else if (key.name === "s" && !scriptMode) {
         // Convert to script mode
         cleanupHandler();
         log.info("\nConverting to script mode...");
         resolve({
           nextState: State.USER_REQUEST,
-          context: { ...context, scriptMode: true },
+          context: { ...context, scriptMode: true, planMode: false },
+        });
+      } else if (key.name === "l" && commandMode) {
+        // Regenerate the request as a sequence of steps
+        cleanupHandler();
+        log.info("\nConverting to a plan...");
+        resolve({
+          nextState: State.USER_REQUEST,
+          context: { ...context, planMode: true },
         });
       } else if (key.name === "d" && options.debug) {
         // Debug option - transition to DEBUG state
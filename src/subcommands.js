@@ -0,0 +1,227 @@
+import { Command } from "commander";
+import log from "./log.js";
+import { getShellInitScript, supportedShells } from "./shellInit.js";
+import { runHistory, runResume } from "./commands/history.js";
+import { runUsage } from "./commands/usage.js";
+import { runExplain } from "./commands/explain.js";
+import {
+  runScriptsList,
+  runScriptsMove,
+  runScriptsOpen,
+  runScriptsRemove,
+  runScriptsRollback,
+  runScriptsRun,
+  runScriptsShow,
+} from "./commands/scripts.js";
+import {
+  runJobsClean,
+  runJobsKill,
+  runJobsList,
+  runJobsTail,
+} from "./commands/jobs.js";
+
+// The subcommands of ai2cli. They are only registered when the arguments
+// call one, so a request such as "history of my last logins" isn't taken
+// for the history command.
+export function registerSubcommands(program) {
+  program
+    .command("shell-init")
+    .description(
+      "Print a shell widget (Ctrl+G) that replaces the current line with a generated command"
+    )
+    .argument("<shell>", `Shell to integrate with (${supportedShells.join(", ")})`)
+    .action((shell) => {
+      const script = getShellInitScript(shell);
+      if (!script) {
+        log.error(
+          `Error: Unsupported shell "${shell}". Supported shells: ${supportedShells.join(", ")}`
+        );
+        process.exit(1);
+      }
+      process.stdout.write(script);
+    });
+
+  program
+    .command("explain")
+    .description("Explain an existing command and optionally refine it")
+    .argument("[command...]", "Command to explain (or pipe it through stdin)")
+    .option("--print", "Print the explanation and exit without prompting")
+    .option("--json", "Print the explanation as JSON and exit")
+    // Options of the explained command are part of it, not ai2cli's
+    .allowUnknownOption()
+    // --print and --json are also options of the main program, which
+    // parses them first
+    .action((commandParts, options, command) =>
+      runExplain(commandParts, command.optsWithGlobals())
+    );
+
+  program
+    .command("history")
+    .description("List and search past sessions")
+    .argument("[query]", "Only show sessions whose requests or responses match")
+    .option("--limit <count>", "Maximum number of sessions to show", "20")
+    .action(runHistory);
+
+  program
+    .command("resume")
+    .description("Resume a past session with its full refinement history")
+    .argument("<id>", "Session id (or a unique prefix) from ai2cli history")
+    .action(runResume);
+
+  program
+    .command("usage")
+    .description("Show token usage and cost with daily and monthly totals")
+    .option("--days <count>", "Number of days in the daily breakdown", "7")
+    .option("--months <count>", "Number of months in the monthly breakdown", "3")
+    .action(runUsage);
+
+  const jobs = program
+    .command("jobs")
+    .description("List, tail and kill commands running in the background");
+
+  jobs
+    .command("list", { isDefault: true })
+    .description("List background jobs, newest first")
+    .option("--limit <count>", "Maximum number of jobs to show", "20")
+    .action(runJobsList);
+
+  jobs
+    .command("tail")
+    .description("Show the end of a job's output")
+    .argument("<id>", "Job id (or a unique prefix) from ai2cli jobs")
+    .option("-n, --lines <count>", "Number of lines to show", "20")
+    .option("-f, --follow", "Keep showing new output until the job ends")
+    .action(runJobsTail);
+
+  jobs
+    .command("kill")
+    .description("Stop a job and every process it started")
+    .argument("<id>", "Job id (or a unique prefix) from ai2cli jobs")
+    .option("-s, --signal <signal>", "Signal to send", "SIGTERM")
+    .action(runJobsKill);
+
+  jobs
+    .command("clean")
+    .description("Remove finished jobs and their logs")
+    .action(runJobsClean);
+
+  const scripts = program
+    .command("scripts")
+    .description("List, run and manage saved scripts");
+
+  scripts
+    .command("list", { isDefault: true })
+    .description("List saved scripts, most recently changed first")
+    .action(runScriptsList);
+
+  scripts
+    .command("show")
+    .description("Show a script with its location and dependencies")
+    .argument("<name>", "Script name (or a unique prefix)")
+    .action(runScriptsShow);
+
+  scripts
+    .command("run")
+    .description("Run a script, asking for parameters when none are given")
+    .argument("<name>", "Script name (or a unique prefix)")
+    .argument("[parameters...]", "Parameters passed on to the script")
+    .option("--no-input", "Don't ask for parameters")
+    // Options after the name belong to the script
+    .allowUnknownOption()
+    .action(runScriptsRun);
+
+  scripts
+    .command("rm")
+    .description("Delete a script and its directory")
+    .argument("<name>", "Script name")
+    .option("-y, --yes", "Don't ask for confirmation")
+    .action(runScriptsRemove);
+
+  scripts
+    .command("mv")
+    .description("Rename a script")
+    .argument("<name>", "Script name")
+    .argument("<new-name>", "New script name")
+    .action(runScriptsMove);
+
+  scripts
+    .command("rollback")
+    .description("Restore an earlier revision of a script")
+    .argument("<name>", "Script name")
+    .argument(
+      "[revision]",
+      "Revision number from ai2cli scripts show (default: the previous one)"
+    )
+    .action(runScriptsRollback);
+
+  scripts
+    .command("open")
+    .description("Open a script in your editor ($EDITOR)")
+    .argument("<name>", "Script name (or a unique prefix)")
+    .action(runScriptsOpen);
+}
+
+// The arguments that aren't options or their values
+function getOperands(args, options) {
+  const operands = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("-") && arg.length > 1) {
+      const option = options.find((candidate) => candidate.is(arg));
+      if (option?.required) i++;
+    } else {
+      operands.push(arg);
+    }
+  }
+  return operands;
+}
+
+// Whether the arguments after a subcommand's name parse as its arguments
+function fitsArguments(command, args) {
+  if (command.commands.length > 0) {
+    const subcommand = command.commands.find(
+      (candidate) => candidate.name() === args[0]
+    );
+    if (subcommand) return fitsArguments(subcommand, args.slice(1));
+    // Anything else goes to the default list command, which takes no
+    // arguments
+    const options = command.commands.flatMap((candidate) => candidate.options);
+    return getOperands(args, options).length === 0;
+  }
+
+  const operands = getOperands(args, command.options);
+  const expected = command.registeredArguments;
+  if (operands.length < expected.filter((arg) => arg.required).length) {
+    return false;
+  }
+  return (
+    expected.some((arg) => arg.variadic) || operands.length <= expected.length
+  );
+}
+
+// Whether the command line calls a subcommand rather than making a request.
+// Everything after "--" is a request, so `ai2cli -- explain tar` goes to the
+// model. The options of the program come before the subcommand.
+export function isSubcommandCall(args, program) {
+  const subcommands = new Command();
+  registerSubcommands(subcommands);
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") return false;
+    if (arg.startsWith("-")) {
+      if (program.options.find((option) => option.is(arg))?.required) i++;
+      continue;
+    }
+    const command = subcommands.commands.find(
+      (candidate) => candidate.name() === arg
+    );
+    return Boolean(command) && fitsArguments(command, args.slice(i + 1));
+  }
+  // Keep the subcommands in --help
+  return true;
+}
@@ -140,6 +140,7 @@ async function getInstalledTools() {
     { name: "git", command: "git --version" },
     { name: "node", command: "node --version" },
     { name: "bun", command: "bun --version" },
+    { name: "deno", command: "deno --version" },
     { name: "npm", command: "npm --version" },
     { name: "python", command: "python --version" },
     { name: "python3", command: "python3 --version" },
@@ -0,0 +1,142 @@
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+// Thrown before a request when a configured spending cap is reached
+export class SpendingLimitError extends Error {
+  constructor(period, limit, spent) {
+    super(
+      `${period} spending limit of $${limit.toFixed(2)} reached ($${spent.toFixed(
+        2
+      )} spent). Raise spendingLimits.${period.toLowerCase()} in your ~/.ai2cli config to continue.`
+    );
+    this.name = "SpendingLimitError";
+  }
+}
+
+function getUsageLogPath(config) {
+  return config?.usageLog ?? path.join(os.homedir(), ".ai2cli-usage.jsonl");
+}
+
+// Providers that don't report usage give NaN
+function toTokenCount(value) {
+  return Number.isFinite(value) ? value : 0;
+}
+
+// Cost of a call in USD, or null when the model has no price configured.
+// Prices are per million tokens, keyed by "provider/modelName".
+export function calculateCost(config, model, promptTokens, completionTokens) {
+  const price = config?.prices?.[model];
+  if (!price) return null;
+
+  return (
+    (promptTokens * (price.input ?? 0) +
+      completionTokens * (price.output ?? 0)) /
+    1000000
+  );
+}
+
+// Append a usage record for a single model call to the usage log
+export async function recordUsage(config, { sessionId, model, usage }) {
+  const promptTokens = toTokenCount(usage?.promptTokens);
+  const completionTokens = toTokenCount(usage?.completionTokens);
+
+  const record = {
+    date: new Date().toISOString(),
+    sessionId,
+    model,
+    promptTokens,
+    completionTokens,
+    cost: calculateCost(config, model, promptTokens, completionTokens),
+  };
+
+  const usageLogPath = getUsageLogPath(config);
+  try {
+    await fs.mkdir(path.dirname(usageLogPath), { recursive: true });
+    await fs.appendFile(usageLogPath, JSON.stringify(record) + "\n");
+  } catch (error) {
+    // Usage accounting must never break generation
+  }
+
+  return record;
+}
+
+// Read every usage record, skipping corrupt lines
+export async function readUsage(config) {
+  let content;
+  try {
+    content = await fs.readFile(getUsageLogPath(config), "utf8");
+  } catch (error) {
+    return [];
+  }
+
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+export function emptyUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+// Add a usage record (or summary) to a running total
+export function addUsage(total, record) {
+  return {
+    calls: total.calls + (record.calls ?? 1),
+    promptTokens: total.promptTokens + record.promptTokens,
+    completionTokens: total.completionTokens + record.completionTokens,
+    cost: total.cost + (record.cost ?? 0),
+  };
+}
+
+export function summarizeUsage(records) {
+  return records.reduce(addUsage, emptyUsage());
+}
+
+export function startOfDay(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function startOfMonth(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+export function recordsSince(records, since) {
+  return records.filter((record) => new Date(record.date) >= since);
+}
+
+// Refuse to make requests once a daily or monthly cap is exceeded
+export async function checkSpendingLimits(config) {
+  const { daily, monthly } = config?.spendingLimits ?? {};
+  if (daily === undefined && monthly === undefined) return;
+
+  const records = await readUsage(config);
+
+  if (daily !== undefined) {
+    const spent = summarizeUsage(recordsSince(records, startOfDay())).cost;
+    if (spent >= daily) throw new SpendingLimitError("Daily", daily, spent);
+  }
+
+  if (monthly !== undefined) {
+    const spent = summarizeUsage(recordsSince(records, startOfMonth())).cost;
+    if (spent >= monthly) {
+      throw new SpendingLimitError("Monthly", monthly, spent);
+    }
+  }
+}
+
+export function formatCost(cost) {
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+export function formatTokens(tokens) {
+  return tokens.toLocaleString("en-US");
+}
@@ -6,6 +6,7 @@ import readline from "readline";
 import path from "path";
 import fs from "fs/promises";
 import log from "./log.js";
+import { getEntryFiles } from "./languages.js";
 
 // Generate a random 8-character hash
 export function generateRandomHash() {
@@ -81,11 +82,104 @@ export async function copyToClipboard(text) {
   }
 }
 
+// What the current mode generates, for use in messages
+export function getItemType({ scriptMode, planMode }) {
+  return scriptMode ? "script" : planMode ? "plan" : "command";
+}
+
 // Helper function to capitalize first letter
 export function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+// While set, ESC calls this instead of exiting ai2cli
+let escapeOverride = null;
+let globalKeyHandler = null;
+
+// Setup global keypress handler for ESC and Ctrl+C
+export function setupGlobalKeyHandler() {
+  readline.emitKeypressEvents(process.stdin);
+  if (process.stdin.isTTY) process.stdin.setRawMode(true);
+  globalKeyHandler = (str, key) => {
+    if (key.name === "escape" && escapeOverride) {
+      escapeOverride();
+      return;
+    }
+    if (key.name === "escape" || (key.ctrl && key.name === "c")) {
+      log.nl();
+      log.info("Exiting ai2cli...");
+      process.exit(0);
+    }
+  };
+  process.stdin.on("keypress", globalKeyHandler);
+  process.stdin.resume();
+}
+
+// Hand the terminal over to a child process: stop reading stdin and leave
+// raw mode so keys (including Ctrl+C) reach the child. Returns a function
+// that restores the global keypress handler.
+export function suspendGlobalKeyHandler() {
+  const handler = globalKeyHandler;
+  const wasRaw = process.stdin.isRaw;
+
+  if (handler) process.stdin.removeListener("keypress", handler);
+  if (process.stdin.isTTY) process.stdin.setRawMode(false);
+  process.stdin.pause();
+
+  return () => {
+    if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw);
+    if (handler) {
+      process.stdin.on("keypress", handler);
+      process.stdin.resume();
+    }
+  };
+}
+
+// Quote a string as a single shell word
+export function shellQuote(text) {
+  if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// Turn a raw terminal recording into plain text: drop ANSI escape
+// sequences, apply backspaces and keep only the last redraw of lines
+// rewritten with carriage returns (progress bars)
+export function cleanTerminalOutput(text) {
+  return text
+    .replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)/g, "")
+    .replace(/\x1b(\[[0-9;?<>=!]*[ -/]*[@-~]|[()#][0-9A-Za-z]|[@-_])/g, "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => {
+      const redrawn = line.split("\r").pop();
+      let result = "";
+      for (const char of redrawn) {
+        result = char === "\b" ? result.slice(0, -1) : result + char;
+      }
+      return result;
+    })
+    .join("\n");
+}
+
+// Describe how a command run ended, e.g. "exit code 2 after 1.4s". Returns
+// null for results saved before exit codes were recorded.
+export function describeExecutionStatus(executionResults) {
+  const { exitCode, signal, timedOut, durationMs, startError } =
+    executionResults ?? {};
+  if (exitCode === undefined) return null;
+
+  const status = startError
+    ? "failed to start"
+    : timedOut
+    ? "timed out"
+    : signal
+    ? `terminated by ${signal}`
+    : `exit code ${exitCode}`;
+  return durationMs === undefined
+    ? status
+    : `${status} after ${(durationMs / 1000).toFixed(1)}s`;
+}
+
 export function setupKeypressHandler(handler) {
   readline.emitKeypressEvents(process.stdin);
   if (process.stdin.isTTY) process.stdin.setRawMode(true);
@@ -99,21 +193,77 @@ export function setupKeypressHandler(handler) {
   };
 }
 
+// Handle ESC with the given callback instead of exiting ai2cli
+export function setupEscapeHandler(onEscape) {
+  escapeOverride = onEscape;
+  // Keep stdin flowing so the keypress is seen at all
+  const cleanup = setupKeypressHandler(() => {});
+
+  return () => {
+    escapeOverride = null;
+    cleanup();
+  };
+}
+
 export function truncateText(text, maxLength) {
   if (!text) return "";
   text = text.replace(/\n/g, " ").trim();
   return text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
 }
 
+// Word-wrap plain text to the given width, breaking words that don't fit
+export function wrapText(text, width) {
+  const lines = [];
+
+  for (const paragraph of (text ?? "").split("\n")) {
+    let line = "";
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      while (word.length > width) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= width) {
+        line += " " + word;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// The entry file of a script directory, in whichever language the script
+// is written. Resolves with null when there is none.
+export async function findScriptEntry(scriptDir) {
+  for (const entryFile of getEntryFiles()) {
+    const entryPath = path.join(scriptDir, entryFile);
+    try {
+      await fs.access(entryPath);
+      return entryPath;
+    } catch (error) {
+      // Try the next language
+    }
+  }
+  return null;
+}
+
 export async function loadExistingScript(scriptName, config) {
   const baseDir = config.scriptsDir;
   const scriptDir = path.join(baseDir, scriptName);
-  const scriptPath = path.join(scriptDir, "index.js");
+  const scriptPath = await findScriptEntry(scriptDir);
 
-  try {
-    await fs.access(scriptPath);
-  } catch (error) {
-    log.error(`Script not found: ${scriptPath}`);
+  if (!scriptPath) {
+    log.error(`Script not found: ${scriptDir}`);
     log.info(
       `Please check that the script name is correct and exists in ${baseDir}`
     );
@@ -127,7 +277,7 @@ export async function loadExistingScript(scriptName, config) {
   return scriptContent;
 }
 
-// Get available scripts that have an index.js file
+// Get available scripts that have an entry file
 export async function getAvailableScripts(config) {
   const baseDir = config.scriptsDir;
   const validScripts = [];
@@ -140,19 +290,16 @@ export async function getAvailableScripts(config) {
     const entries = await fs.readdir(baseDir, { withFileTypes: true });
     const scriptDirs = entries.filter((entry) => entry.isDirectory());
 
-    // Check each directory for an index.js file and get modification time
+    // Check each directory for an entry file and get modification time
     for (const dir of scriptDirs) {
-      const indexPath = path.join(baseDir, dir.name, "index.js");
-      try {
-        await fs.access(indexPath);
-        const stats = await fs.stat(indexPath);
-        validScripts.push({
-          name: dir.name,
-          modifiedTime: stats.mtime
-        });
-      } catch (error) {
-        // Skip directories without index.js
-      }
+      const entryPath = await findScriptEntry(path.join(baseDir, dir.name));
+      // Skip directories without an entry file
+      if (!entryPath) continue;
+      const stats = await fs.stat(entryPath);
+      validScripts.push({
+        name: dir.name,
+        modifiedTime: stats.mtime
+      });
     }
 
     // Sort by modification time (newest first)
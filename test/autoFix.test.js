@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { canRunWithoutConfirmation } from "../src/autoFix.js";
+
+const context = { config: {}, scriptMode: false, planMode: false };
+
+function canRun(content) {
+  return canRunWithoutConfirmation(context, { content, destructive: false });
+}
+
+describe("canRunWithoutConfirmation", () => {
+  it("runs harmless fixes right away", () => {
+    assert.equal(canRun("ls -la src"), true);
+  });
+
+  it("asks before fixes that write to files", () => {
+    assert.equal(canRun("echo 'export PATH=$PATH:~/bin' >> ~/.bashrc"), false);
+    assert.equal(canRun("sort data.txt > data.txt"), false);
+  });
+
+  it("asks before fixes hidden in groups or eval", () => {
+    assert.equal(canRun("(rm -rf /)"), false);
+    assert.equal(canRun('eval "rm -rf build"'), false);
+  });
+
+  it("asks before fixes that run inline code", () => {
+    assert.equal(
+      canRun("python3 -c \"import shutil; shutil.rmtree('x')\""),
+      false
+    );
+    assert.equal(canRun("node -e \"require('fs').rmSync('x')\""), false);
+    assert.equal(canRun("perl -e 'unlink glob q(*)'"), false);
+    assert.equal(canRun("awk '{system(\"rm \" $0)}' list.txt"), false);
+    assert.equal(canRun("find . -exec sh -c 'rm \"$1\"' _ {} \\;"), false);
+    assert.equal(canRun("find . -delete"), false);
+  });
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  findInvalidDependencies,
+  findUnknownDependencies,
+} from "../src/dependencies.js";
+
+const config = { cacheDir: "/nonexistent", dependencies: {} };
+
+describe("findInvalidDependencies", () => {
+  it("accepts npm semver ranges", () => {
+    const dependencies = ["^5.3.0", "~1.2", ">=2 <3", "1.x || 2.x", ""].map(
+      (version) => ({ name: "chalk", version })
+    );
+    assert.deepEqual(findInvalidDependencies(dependencies, "javascript"), []);
+  });
+
+  it("rejects npm git, URL, file and alias specs", () => {
+    const dependencies = [
+      "git+https://evil.example/chalk.git",
+      "https://evil.example/a.tgz",
+      "file:../chalk",
+      "npm:chalk@5",
+    ].map((version) => ({ name: "chalk", version }));
+    assert.equal(
+      findInvalidDependencies(dependencies, "javascript").length,
+      dependencies.length
+    );
+  });
+
+  it("accepts PEP 440 specifiers and rejects direct URLs", () => {
+    assert.deepEqual(
+      findInvalidDependencies(
+        [
+          { name: "requests", version: ">=2.31,<3" },
+          { name: "numpy", version: "1.26.0" },
+        ],
+        "python"
+      ),
+      []
+    );
+    assert.equal(
+      findInvalidDependencies(
+        [{ name: "requests", version: "@ https://evil.example/r.whl" }],
+        "python"
+      ).length,
+      1
+    );
+  });
+
+  it("rejects names that look like options", () => {
+    assert.equal(
+      findInvalidDependencies([{ name: "-r", version: "" }], "python").length,
+      1
+    );
+    assert.equal(
+      findInvalidDependencies([{ name: "--save", version: "" }], "javascript")
+        .length,
+      1
+    );
+  });
+});
+
+describe("findUnknownDependencies", () => {
+  it("treats known packages with a URL version as unknown", async () => {
+    const unknown = await findUnknownDependencies(
+      [{ name: "axios", version: "https://evil.example/a.tgz" }],
+      "javascript",
+      config
+    );
+    assert.equal(unknown.length, 1);
+    assert.equal(unknown[0].invalid, "not a version range");
+  });
+
+  it("points out names close to a known package", async () => {
+    const [unknown] = await findUnknownDependencies(
+      [{ name: "chlak", version: "^5.3.0" }],
+      "javascript",
+      config
+    );
+    assert.equal(unknown.similarTo, "chalk");
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { countChanges, diffLines, formatDiff } from "../src/diff.js";
+
+// formatDiff colours its lines when the terminal supports it
+function stripColors(text) {
+  return text.replace(/\x1b\[\d+m/g, "");
+}
+
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+}
+
+describe("diffLines", () => {
+  it("marks added, removed and unchanged lines", () => {
+    assert.deepEqual(diffLines("a\nb\nc\n", "a\nc\nd\n"), [
+      { type: " ", line: "a" },
+      { type: "-", line: "b" },
+      { type: " ", line: "c" },
+      { type: "+", line: "d" },
+    ]);
+  });
+
+  it("handles empty texts", () => {
+    assert.deepEqual(diffLines("", "a\n"), [{ type: "+", line: "a" }]);
+    assert.deepEqual(diffLines("a", ""), [{ type: "-", line: "a" }]);
+    assert.deepEqual(diffLines("", ""), []);
+  });
+
+  it("counts the changes", () => {
+    const changes = diffLines("a\nb\nc", "a\nB\nc\nd");
+    assert.deepEqual(countChanges(changes), { added: 2, removed: 1 });
+  });
+});
+
+describe("formatDiff", () => {
+  it("shows changes with three lines of context", () => {
+    const oldLines = lines(20);
+    const newLines = [...oldLines];
+    newLines[9] = "changed";
+
+    const formatted = stripColors(
+      formatDiff(diffLines(oldLines.join("\n"), newLines.join("\n")))
+    );
+    assert.equal(
+      formatted,
+      [
+        "@@ -7 +7 @@",
+        "  line 7",
+        "  line 8",
+        "  line 9",
+        "- line 10",
+        "+ changed",
+        "  line 11",
+        "  line 12",
+        "  line 13",
+      ].join("\n")
+    );
+  });
+
+  it("starts a new hunk for changes far apart", () => {
+    const oldLines = lines(30);
+    const newLines = [...oldLines];
+    newLines[0] = "first";
+    newLines[29] = "last";
+
+    const hunks = stripColors(
+      formatDiff(diffLines(oldLines.join("\n"), newLines.join("\n")))
+    )
+      .split("\n")
+      .filter((line) => line.startsWith("@@"));
+    assert.deepEqual(hunks, ["@@ -1 +1 @@", "@@ -27 +27 @@"]);
+  });
+
+  it("shows nothing for identical texts", () => {
+    assert.equal(formatDiff(diffLines("a\nb", "a\nb")), "");
+  });
+});
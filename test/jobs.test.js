@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  findJob,
+  getJobStatus,
+  JobStatus,
+  killJob,
+  listJobs,
+  removeFinishedJobs,
+  startJob,
+} from "../src/jobs.js";
+
+let config;
+
+// Poll until the job reaches the status, as jobs finish on their own time
+async function waitForStatus(job, status) {
+  for (let i = 0; i < 50; i++) {
+    if ((await getJobStatus(config, job)) === status) return;
+    await sleep(100);
+  }
+  assert.fail(`job ${job.id} never became ${status}`);
+}
+
+describe("jobs", () => {
+  beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    config = { jobsDir: dir };
+  });
+
+  afterEach(async () => {
+    for (const job of await listJobs(config)) {
+      await killJob(config, job, "SIGKILL");
+    }
+    await fs.rm(config.jobsDir, { recursive: true, force: true });
+  });
+
+  it("records the exit code and output of a job", async () => {
+    const job = await startJob(config, {
+      command: "echo hello; exit 3",
+      cwd: config.jobsDir,
+    });
+    await waitForStatus(job, JobStatus.EXITED);
+
+    const found = await findJob(config, job.id.slice(0, 4));
+    assert.equal(found.exitCode, 3);
+    assert.equal(await fs.readFile(job.logFile, "utf8"), "hello\n");
+  });
+
+  it("kills every process of a running job", async () => {
+    const job = await startJob(config, {
+      command: "sleep 30 & sleep 30",
+      cwd: config.jobsDir,
+    });
+    assert.equal(await getJobStatus(config, job), JobStatus.RUNNING);
+
+    assert.equal(await killJob(config, job), true);
+    const [killed] = await listJobs(config);
+    await waitForStatus(killed, JobStatus.KILLED);
+  });
+
+  it("leaves finished jobs alone", async () => {
+    const job = await startJob(config, { command: "true", cwd: "/" });
+    await waitForStatus(job, JobStatus.EXITED);
+
+    assert.equal(await killJob(config, job), false);
+    assert.equal(await removeFinishedJobs(config), 1);
+    assert.deepEqual(await listJobs(config), []);
+  });
+
+  it("kills jobs whose metadata was removed meanwhile", async () => {
+    const job = await startJob(config, {
+      command: "sleep 30",
+      cwd: config.jobsDir,
+    });
+    await fs.rm(path.join(config.jobsDir, `${job.id}.json`));
+
+    assert.equal(await killJob(config, job, "SIGKILL"), true);
+    await waitForStatus(job, JobStatus.UNKNOWN);
+  });
+});
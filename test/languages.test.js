@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  getLanguageOfEntryFile,
+  getScriptExtension,
+  getScriptLanguage,
+  resolveScriptLanguage,
+} from "../src/languages.js";
+
+const dependencies = [
+  { name: "requests", version: ">=2.31,<3" },
+  { name: "rich", version: "13.7.0" },
+  { name: "click", version: "" },
+];
+
+describe("getScriptLanguage", () => {
+  it("treats unknown languages as JavaScript", () => {
+    assert.equal(getScriptLanguage("cobol"), getScriptLanguage("javascript"));
+    assert.equal(getScriptLanguage(undefined).entryFile, "index.js");
+  });
+
+  it("writes and reads requirements.txt", () => {
+    const { formatDependencies, parseDependencies } =
+      getScriptLanguage("python");
+    const content = formatDependencies("greeter", dependencies);
+    assert.equal(content, "requests>=2.31,<3\nrich==13.7.0\nclick\n");
+    assert.deepEqual(parseDependencies(`# pinned\n${content}`), [
+      dependencies[0],
+      { name: "rich", version: "==13.7.0" },
+      dependencies[2],
+    ]);
+  });
+
+  it("writes and reads package.json", () => {
+    const { formatDependencies, parseDependencies } =
+      getScriptLanguage("javascript");
+    const content = formatDependencies("greeter", [
+      { name: "chalk", version: "^5.3.0" },
+      { name: "ora", version: "" },
+    ]);
+    assert.equal(JSON.parse(content).name, "greeter");
+    assert.deepEqual(parseDependencies(content), [
+      { name: "chalk", version: "^5.3.0" },
+      { name: "ora", version: "latest" },
+    ]);
+  });
+
+  it("installs Python scripts from their lockfile once there is one", () => {
+    const { lockFile, installCommand } = getScriptLanguage("python");
+    assert.equal(lockFile, "requirements.lock");
+    assert.match(
+      installCommand("'/cache'", { locked: false }),
+      /-r requirements\.txt && .*pip freeze > requirements\.lock$/
+    );
+    assert.match(
+      installCommand("'/cache'", { locked: true }),
+      /-r requirements\.lock$/
+    );
+  });
+});
+
+describe("script files", () => {
+  it("names the entry file and extension of each language", () => {
+    assert.equal(getScriptExtension("typescript"), ".ts");
+    assert.equal(getScriptExtension("bash"), ".sh");
+    assert.equal(getLanguageOfEntryFile("main.py"), "python");
+    assert.equal(getLanguageOfEntryFile("main.rs"), null);
+  });
+});
+
+describe("resolveScriptLanguage", () => {
+  it("prefers the language the model names", () => {
+    assert.equal(resolveScriptLanguage({ language: "bash" }, "python"), "bash");
+    assert.equal(
+      resolveScriptLanguage({ language: "ruby" }, "python"),
+      "python"
+    );
+    assert.equal(resolveScriptLanguage({}, "ruby"), "javascript");
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { discoverModels } from "../src/modelDiscovery.js";
+import { OPENAI_COMPATIBLE } from "../src/models.js";
+
+let server;
+let baseURL;
+let config;
+
+// Each provider's listing is served under its own path
+function provider(name) {
+  return { type: OPENAI_COMPATIBLE, baseURL: `${baseURL}/${name}` };
+}
+
+describe("discoverModels", () => {
+  before(async () => {
+    server = http.createServer((request, response) => {
+      const [, name] = request.url.split("/");
+      response.setHeader("Content-Type", "application/json");
+      response.end(
+        JSON.stringify({
+          data: [{ id: `${name}-chat` }, { id: `${name}-embedding` }],
+        })
+      );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    config = { cacheDir, providers: {} };
+  });
+
+  after(async () => {
+    server.close();
+    await fs.rm(config.cacheDir, { recursive: true, force: true });
+  });
+
+  it("lists the chat models of a provider and caches them", async () => {
+    const remote = await discoverModels(config, "local", provider("one"));
+    assert.deepEqual(remote, { models: ["one-chat"], source: "remote" });
+
+    const cached = await discoverModels(config, "local", provider("one"));
+    assert.deepEqual(cached, { models: ["one-chat"], source: "cache" });
+  });
+
+  it("keeps the models of providers discovered at the same time", async () => {
+    const names = ["a", "b", "c", "d"];
+    await Promise.all(
+      names.map((name) => discoverModels(config, name, provider(name)))
+    );
+
+    const cache = JSON.parse(
+      await fs.readFile(path.join(config.cacheDir, "models.json"), "utf8")
+    );
+    for (const name of names) {
+      assert.deepEqual(cache[`${name}:${baseURL}/${name}`].models, [
+        `${name}-chat`,
+      ]);
+    }
+  });
+
+  it("falls back to the static list for providers it can't query", async () => {
+    const { source } = await discoverModels(config, "openai", {});
+    assert.equal(source, "static");
+  });
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  compactOutput,
+  isCompacted,
+  OutputSlice,
+  sliceOutput,
+} from "../src/output.js";
+
+const config = { output: { headLines: 2, tailLines: 2, maxErrorLines: 5 } };
+
+// Numbered lines, with the ones given in errors replaced
+function makeOutput(count, errors = {}) {
+  return (
+    Array.from(
+      { length: count },
+      (_, i) => errors[i + 1] ?? `line ${i + 1}`
+    ).join("\n") + "\n"
+  );
+}
+
+describe("compactOutput", () => {
+  it("leaves short output alone", () => {
+    const output = makeOutput(4);
+    assert.equal(compactOutput(output, config), output.trimEnd());
+    assert.equal(isCompacted(output, config), false);
+  });
+
+  it("keeps the first and last lines and errors in between", () => {
+    const output = makeOutput(10, { 5: "Error: no such file" });
+    assert.equal(
+      compactOutput(output, config),
+      [
+        "line 1",
+        "line 2",
+        "[... 6 lines omitted, these look like errors: ...]",
+        "Error: no such file",
+        "[...]",
+        "line 9",
+        "line 10",
+      ].join("\n")
+    );
+    assert.equal(isCompacted(output, config), true);
+  });
+
+  it("collapses repeated lines", () => {
+    const output = "start\n" + "retrying\n".repeat(50) + "done\n";
+    assert.equal(
+      compactOutput(output, config),
+      "start\nretrying\n[previous line repeated 49 more times]\ndone"
+    );
+  });
+
+  it("shortens single lines that are too long", () => {
+    const compacted = compactOutput("x".repeat(100), {
+      output: { maxLength: 20 },
+    });
+    assert.equal(
+      compacted,
+      "x".repeat(10) + "\n[... 80 characters omitted ...]\n" + "x".repeat(10)
+    );
+  });
+});
+
+describe("sliceOutput", () => {
+  const output = makeOutput(10, { 3: "fatal: not a git repository" });
+
+  it("picks the slice the user chose", () => {
+    assert.equal(
+      sliceOutput(output, OutputSlice.HEAD, config),
+      makeOutput(4, { 3: "fatal: not a git repository" }).trimEnd()
+    );
+    assert.equal(
+      sliceOutput(output, OutputSlice.TAIL, config),
+      "line 7\nline 8\nline 9\nline 10"
+    );
+    assert.equal(
+      sliceOutput(output, OutputSlice.ERRORS, config),
+      "fatal: not a git repository"
+    );
+    assert.equal(sliceOutput(output, OutputSlice.FULL, config), output);
+    assert.equal(sliceOutput(output, OutputSlice.NONE, config), "");
+  });
+
+  it("compacts the output by default", () => {
+    assert.equal(
+      sliceOutput(output, OutputSlice.COMPACT, config),
+      compactOutput(output, config)
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { analyzeCommand, Risk } from "../src/safety.js";
+
+function assertRisk(command, level) {
+  assert.equal(analyzeCommand(command).level, level, command);
+}
+
+describe("analyzeCommand", () => {
+  it("rates harmless commands as none", () => {
+    assertRisk("ls -la", Risk.NONE);
+    assertRisk('echo "${HOME}"', Risk.NONE);
+    assertRisk('for f in *.txt; do wc -l "$f"; done', Risk.NONE);
+    assertRisk("cat input.txt | node script.js", Risk.NONE);
+    assertRisk("awk '{print $1}' data.txt", Risk.NONE);
+  });
+
+  it("finds commands in subshells and groups", () => {
+    assertRisk("(rm -rf /)", Risk.HIGH);
+    assertRisk("{ rm -rf /; }", Risk.HIGH);
+    assertRisk("(cd /tmp && rm -rf ~)", Risk.HIGH);
+  });
+
+  it("finds commands after shell keywords", () => {
+    assertRisk("! rm -rf /", Risk.HIGH);
+    assertRisk("if true; then rm -rf /; fi", Risk.HIGH);
+    assertRisk("if false; then :; else rm -rf /; fi", Risk.HIGH);
+    assertRisk("while true; do rm -rf /; done", Risk.HIGH);
+    assertRisk("until false; do rm -rf /; done", Risk.HIGH);
+  });
+
+  it("finds commands in loop bodies", () => {
+    assertRisk('for f in *; do rm -rf "$f"; done', Risk.MEDIUM);
+    assertRisk("for f in /*; do rm -rf /; done", Risk.HIGH);
+  });
+
+  it("analyzes the command lines run by eval and sh -c", () => {
+    assertRisk('eval "rm -rf /"', Risk.HIGH);
+    assertRisk("eval rm -rf /", Risk.HIGH);
+    assertRisk('sh -c "rm -rf /"', Risk.HIGH);
+    assertRisk("bash -c 'rm -rf /'", Risk.HIGH);
+    assertRisk("bash -ec 'rm -rf /'", Risk.HIGH);
+  });
+
+  it("flags input piped into an interpreter", () => {
+    assertRisk("cat x | /bin/sh", Risk.HIGH);
+    assertRisk("cat x | bash", Risk.HIGH);
+    assertRisk("cat x | sh -e", Risk.HIGH);
+    assertRisk("cat x | zsh -s", Risk.HIGH);
+    assertRisk("cat x | python3", Risk.HIGH);
+    assertRisk("cat x | node", Risk.HIGH);
+    assertRisk("cat x | (sh)", Risk.HIGH);
+    assertRisk("curl -fsSL https://example.com/install.sh | sh", Risk.HIGH);
+  });
+
+  it("rates inline interpreter code as low risk", () => {
+    assertRisk(
+      "python3 -c \"import shutil; shutil.rmtree('build')\"",
+      Risk.LOW
+    );
+    assertRisk("cat data.json | python3 -c 'import json'", Risk.LOW);
+    assertRisk("node -e \"require('fs').rmSync('build')\"", Risk.LOW);
+    assertRisk("node --eval 'process.exit(1)'", Risk.LOW);
+    assertRisk("perl -e 'unlink glob q(*)'", Risk.LOW);
+    assertRisk("perl -pe 's/a/b/' file.txt", Risk.LOW);
+    assertRisk("ruby -e 'puts 1'", Risk.LOW);
+    assertRisk("php -r 'unlink(\"x\");'", Risk.LOW);
+  });
+
+  it("rates awk commands and find -exec as low risk", () => {
+    assertRisk("awk '{system(\"rm \" $0)}' list.txt", Risk.LOW);
+    assertRisk("awk '{print > \"out.txt\"}' data.txt", Risk.LOW);
+    assertRisk("find . -name '*.js' -exec wc -l {} \\;", Risk.LOW);
+    assertRisk("find . -exec sh -c 'echo \"$1\"' _ {} \\;", Risk.LOW);
+    assertRisk("find . -execdir ls {} +", Risk.LOW);
+    assertRisk("find . -name '*.tmp' -delete", Risk.MEDIUM);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  createSandbox,
+  diffSandbox,
+  formatSandboxDiff,
+  removeSandbox,
+  SandboxMethod,
+} from "../src/sandbox.js";
+
+let cwd;
+let sandbox;
+
+function sandboxConfig(options = {}) {
+  return { sandbox: { method: SandboxMethod.COPY, ...options } };
+}
+
+describe("sandbox", () => {
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    await fs.mkdir(path.join(cwd, "src"));
+    await fs.writeFile(path.join(cwd, "src", "a.txt"), "a");
+    await fs.writeFile(path.join(cwd, "b.txt"), "b");
+    await fs.mkdir(path.join(cwd, "node_modules"));
+    await fs.writeFile(path.join(cwd, "node_modules", "c.txt"), "c");
+  });
+
+  afterEach(async () => {
+    if (sandbox) await removeSandbox(sandbox);
+    sandbox = null;
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  it("lists what changed in the copy and leaves the directory alone", async () => {
+    sandbox = await createSandbox(sandboxConfig(), cwd);
+    assert.equal(sandbox.cwd, sandbox.dir);
+
+    await fs.writeFile(path.join(sandbox.dir, "b.txt"), "changed");
+    await fs.rm(path.join(sandbox.dir, "src"), { recursive: true });
+    await fs.mkdir(path.join(sandbox.dir, "dist"));
+    await fs.writeFile(path.join(sandbox.dir, "dist", "out.js"), "");
+
+    const changes = await diffSandbox(sandbox);
+    assert.deepEqual(changes, {
+      created: [`dist${path.sep}`],
+      modified: ["b.txt"],
+      deleted: [`src${path.sep}`],
+    });
+    assert.equal(
+      formatSandboxDiff(changes),
+      `created: dist${path.sep}\nmodified: b.txt\ndeleted: src${path.sep}`
+    );
+    assert.equal(await fs.readFile(path.join(cwd, "b.txt"), "utf8"), "b");
+  });
+
+  it("leaves excluded directories out of the copy", async () => {
+    sandbox = await createSandbox(
+      sandboxConfig({ exclude: ["node_modules"] }),
+      cwd
+    );
+    await assert.rejects(fs.access(path.join(sandbox.dir, "node_modules")));
+    assert.deepEqual(await diffSandbox(sandbox), {
+      created: [],
+      modified: [],
+      deleted: [],
+    });
+  });
+
+  it("refuses directories over the size limit", async () => {
+    await fs.writeFile(
+      path.join(cwd, "big.bin"),
+      Buffer.alloc(2 * 1024 * 1024)
+    );
+    await assert.rejects(
+      createSandbox(sandboxConfig({ maxSizeMB: 1 }), cwd),
+      /larger than the 1MB sandbox limit/
+    );
+  });
+
+  it("says when nothing changed", () => {
+    assert.equal(
+      formatSandboxDiff({ created: [], modified: [], deleted: [] }),
+      "No files were created, modified or deleted."
+    );
+  });
+});
@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  detectScriptLanguage,
+  findScript,
+  getRevisions,
+  getScriptPaths,
+  isValidScriptName,
+  preserveSavedScript,
+  readScriptManifest,
+  renameScript,
+  rollbackScript,
+  writeScriptManifest,
+} from "../src/scripts.js";
+import { findScriptEntry } from "../src/util.js";
+
+const scriptName = "greeter";
+let config;
+
+async function exists(file) {
+  return fs.access(file).then(
+    () => true,
+    () => false
+  );
+}
+
+// Save a script the way the save and execute states do
+async function saveScript(language, content, dependencies = []) {
+  await fs.mkdir(getScriptPaths(config, scriptName).scriptDir, {
+    recursive: true,
+  });
+  await preserveSavedScript(config, scriptName, language);
+  const { scriptPath, dependencyPath } = getScriptPaths(
+    config,
+    scriptName,
+    language
+  );
+  await fs.writeFile(scriptPath, content);
+  if (dependencyPath && dependencies.length > 0) {
+    await fs.writeFile(dependencyPath, "{}");
+  }
+  await writeScriptManifest({
+    config,
+    scriptName,
+    model: "openai/gpt-4o",
+    sessionId: "test",
+    commandHistory: [],
+    currentCommand: {
+      request: "greet someone",
+      response: { content, language, dependencies },
+    },
+  });
+}
+
+describe("scripts", () => {
+  beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    config = { scriptsDir: dir };
+  });
+
+  afterEach(async () => {
+    await fs.rm(config.scriptsDir, { recursive: true, force: true });
+  });
+
+  describe("revisions", () => {
+    async function readSavedScript() {
+      const { scriptPath } = getScriptPaths(config, scriptName);
+      return fs.readFile(scriptPath, "utf8");
+    }
+
+    async function getHistory() {
+      const manifest = await readScriptManifest(config, scriptName);
+      return getRevisions(manifest).map(({ revision, changelog }) => [
+        revision,
+        changelog,
+      ]);
+    }
+
+    it("keeps each version that differs from the last one", async () => {
+      await saveScript("javascript", "console.log(1);");
+      await saveScript("javascript", "console.log(1);");
+      await saveScript("javascript", "console.log(2);");
+
+      assert.deepEqual(
+        (await getHistory()).map(([revision]) => revision),
+        [1, 2]
+      );
+    });
+
+    it("keeps changes made outside ai2cli", async () => {
+      await saveScript("javascript", "console.log(1);");
+      const { scriptPath } = getScriptPaths(config, scriptName);
+      await fs.writeFile(scriptPath, "console.log('edited');");
+      await saveScript("javascript", "console.log(2);");
+
+      assert.deepEqual(await getHistory(), [
+        [1, ""],
+        [2, "Changed outside ai2cli"],
+        [3, ""],
+      ]);
+    });
+
+    it("rolls back to the previous revision as a new one", async () => {
+      await saveScript("javascript", "console.log(1);");
+      await saveScript("javascript", "console.log(2);");
+
+      assert.equal(await rollbackScript(config, scriptName), 1);
+      assert.equal(await readSavedScript(), "console.log(1);");
+      assert.deepEqual((await getHistory()).pop(), [
+        3,
+        "Rolled back to revision 1",
+      ]);
+
+      // Rolling back again undoes the rollback
+      assert.equal(await rollbackScript(config, scriptName), 2);
+      assert.equal(await readSavedScript(), "console.log(2);");
+    });
+
+    it("rolls back to a given revision", async () => {
+      for (const n of [1, 2, 3]) {
+        await saveScript("javascript", `console.log(${n});`);
+      }
+
+      assert.equal(await rollbackScript(config, scriptName, 1), 1);
+      assert.equal(await readSavedScript(), "console.log(1);");
+      await assert.rejects(
+        rollbackScript(config, scriptName, 1),
+        /already the saved version/
+      );
+      await assert.rejects(
+        rollbackScript(config, scriptName, 9),
+        /Revision 9 doesn't exist/
+      );
+    });
+
+    it("has nothing to roll back to for a new script", async () => {
+      await saveScript("javascript", "console.log(1);");
+      await assert.rejects(
+        rollbackScript(config, scriptName),
+        /no earlier revision/
+      );
+    });
+  });
+
+  describe("renaming", () => {
+    it("moves the script and updates the names it records", async () => {
+      await saveScript("javascript", "console.log('hi');", [
+        { name: "chalk", version: "^5.3.0" },
+      ]);
+      await renameScript(config, scriptName, "welcomer");
+
+      assert.equal(await findScript(config, scriptName), null);
+      assert.equal(await findScript(config, "wel"), "welcomer");
+      const manifest = await readScriptManifest(config, "welcomer");
+      assert.equal(manifest.name, "welcomer");
+      assert.equal(manifest.history.length, 1);
+      const { packagePath } = getScriptPaths(config, "welcomer");
+      assert.equal(
+        JSON.parse(await fs.readFile(packagePath, "utf8")).name,
+        "welcomer"
+      );
+    });
+
+    it("refuses to overwrite another script", async () => {
+      await saveScript("javascript", "console.log('hi');");
+      await fs.mkdir(getScriptPaths(config, "welcomer").scriptDir);
+
+      await assert.rejects(
+        renameScript(config, scriptName, "welcomer"),
+        /already exists/
+      );
+      assert.equal(await findScript(config, scriptName), scriptName);
+    });
+
+    it("only accepts names that make directory names", () => {
+      assert.equal(isValidScriptName("backup-photos_2.py"), true);
+      assert.equal(isValidScriptName("../etc"), false);
+      assert.equal(isValidScriptName(".hidden"), false);
+      assert.equal(isValidScriptName("with space"), false);
+    });
+  });
+
+  describe("switching languages", () => {
+    it("removes the files of the previous language", async () => {
+      await saveScript("javascript", "console.log('hi');", [
+        { name: "chalk", version: "^5.3.0" },
+      ]);
+      await saveScript("python", "print('hi')");
+
+      const { scriptDir } = getScriptPaths(config, scriptName);
+      assert.equal(await exists(path.join(scriptDir, "index.js")), false);
+      assert.equal(await exists(path.join(scriptDir, "package.json")), false);
+      assert.equal(
+        await findScriptEntry(scriptDir),
+        path.join(scriptDir, "main.py")
+      );
+      assert.equal(await detectScriptLanguage(config, scriptName), "python");
+    });
+
+    it("rolls back to a revision in another language", async () => {
+      await saveScript("javascript", "console.log('hi');");
+      await saveScript("python", "print('hi')");
+
+      assert.equal(await rollbackScript(config, scriptName), 1);
+
+      const { scriptDir } = getScriptPaths(config, scriptName);
+      assert.equal(
+        await fs.readFile(path.join(scriptDir, "index.js"), "utf8"),
+        "console.log('hi');"
+      );
+      assert.equal(await exists(path.join(scriptDir, "main.py")), false);
+      const manifest = await readScriptManifest(config, scriptName);
+      assert.equal(manifest.language, "javascript");
+      assert.deepEqual(
+        manifest.history.map(({ revision, language }) => [revision, language]),
+        [
+          [1, "javascript"],
+          [2, "python"],
+          [3, "javascript"],
+        ]
+      );
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  findSession,
+  getInitialRequest,
+  listSessions,
+  saveCommandOutput,
+  saveSession,
+  sessionMatches,
+} from "../src/sessions.js";
+
+let config;
+
+function command(request, content) {
+  return { request, response: { content } };
+}
+
+describe("sessions", () => {
+  beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    config = { sessionsDir: dir };
+  });
+
+  afterEach(async () => {
+    await fs.rm(config.sessionsDir, { recursive: true, force: true });
+  });
+
+  it("only saves sessions with a response", async () => {
+    const context = {
+      config,
+      sessionId: "abc123",
+      commandHistory: [],
+      currentCommand: { request: "list files" },
+    };
+    assert.equal(await saveSession(context), false);
+
+    context.currentCommand = command("list files", "ls");
+    assert.equal(await saveSession(context), true);
+    const [session] = await listSessions(config);
+    assert.equal(session.id, "abc123");
+    assert.equal(session.currentCommand.response.content, "ls");
+  });
+
+  it("finds sessions by a unique id prefix", async () => {
+    for (const sessionId of ["abc123", "abd456"]) {
+      await saveSession({
+        config,
+        sessionId,
+        currentCommand: command("list files", "ls"),
+      });
+    }
+
+    assert.equal((await findSession(config, "abd")).id, "abd456");
+    assert.equal(await findSession(config, "ab"), null);
+    assert.equal(await findSession(config, "xyz"), null);
+  });
+
+  it("lists the most recently updated sessions first", async () => {
+    await saveSession({
+      config,
+      sessionId: "older",
+      currentCommand: command("list files", "ls"),
+    });
+    await sleep(10);
+    await saveSession({
+      config,
+      sessionId: "newer",
+      currentCommand: command("show disk usage", "df -h"),
+    });
+    await fs.writeFile(path.join(config.sessionsDir, "corrupt.json"), "{");
+
+    const sessions = await listSessions(config);
+    assert.deepEqual(
+      sessions.map(({ id }) => id),
+      ["newer", "older"]
+    );
+  });
+
+  it("keeps the complete output next to the session", async () => {
+    const outputPath = await saveCommandOutput(
+      { config, sessionId: "abc123" },
+      "line\n".repeat(1000)
+    );
+    assert.equal(
+      path.dirname(outputPath),
+      path.join(config.sessionsDir, "abc123")
+    );
+    assert.equal((await fs.readFile(outputPath, "utf8")).length, 5000);
+    assert.equal(await saveCommandOutput({ config: {} }, "x"), null);
+  });
+});
+
+describe("sessionMatches", () => {
+  const session = {
+    commandHistory: [command("find large files", "find . -size +100M")],
+    currentCommand: {
+      request: "only in my home",
+      response: { steps: [{ command: "du -sh ~/*" }] },
+    },
+  };
+
+  it("searches requests, responses and plan steps", () => {
+    assert.equal(sessionMatches(session, "LARGE"), true);
+    assert.equal(sessionMatches(session, "-size"), true);
+    assert.equal(sessionMatches(session, "du -sh"), true);
+    assert.equal(sessionMatches(session, "tar"), false);
+  });
+
+  it("starts with the first request of the session", () => {
+    assert.equal(getInitialRequest(session), "find large files");
+  });
+});
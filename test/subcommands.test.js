@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { Command } from "commander";
+import { describe, it } from "node:test";
+import { isSubcommandCall } from "../src/subcommands.js";
+
+// The options of the main program that take a value
+const program = new Command()
+  .option("--model <model>")
+  .option("--language <language>")
+  .option("--print");
+
+function assertCall(args, expected) {
+  assert.equal(isSubcommandCall(args, program), expected, args.join(" "));
+}
+
+describe("isSubcommandCall", () => {
+  it("calls subcommands with fitting arguments", () => {
+    assertCall(["history"], true);
+    assertCall(["history", "tar", "--limit", "5"], true);
+    assertCall(["resume", "abc123"], true);
+    assertCall(["explain", "tar", "-xzf", "a.tgz"], true);
+    assertCall(["scripts", "mv", "old", "new"], true);
+    assertCall(["scripts", "run", "greeter", "--name", "Ada"], true);
+    assertCall(["jobs"], true);
+    assertCall(["jobs", "kill", "abc", "-s", "SIGKILL"], true);
+  });
+
+  it("sends requests that don't fit the arguments to the model", () => {
+    assertCall(["history", "of", "my", "last", "logins"], false);
+    assertCall(["usage", "of", "disk", "space"], false);
+    assertCall(["resume"], false);
+    assertCall(["scripts", "in", "my", "home"], false);
+    assertCall(["jobs", "running", "as", "root"], false);
+    assertCall(["list", "files"], false);
+  });
+
+  it("skips the main program's options and their values", () => {
+    assertCall(["--model", "openai/gpt-4o", "history"], true);
+    assertCall(["--model", "history", "find", "big", "files"], false);
+    assertCall(["--print", "usage"], true);
+  });
+
+  it("takes everything after -- as a request", () => {
+    assertCall(["--", "history"], false);
+    assertCall(["--model", "openai/gpt-4o", "--", "explain", "tar"], false);
+  });
+
+  it("keeps the subcommands for --help", () => {
+    assertCall([], true);
+    assertCall(["--help"], true);
+  });
+});
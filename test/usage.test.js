@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  calculateCost,
+  checkSpendingLimits,
+  readUsage,
+  recordUsage,
+  SpendingLimitError,
+  summarizeUsage,
+} from "../src/usage.js";
+
+const model = "openai/gpt-4o";
+const prices = { [model]: { input: 2.5, output: 10 } };
+
+describe("calculateCost", () => {
+  it("charges per million prompt and completion tokens", () => {
+    assert.equal(calculateCost({ prices }, model, 1000000, 0), 2.5);
+    assert.equal(calculateCost({ prices }, model, 200000, 100000), 1.5);
+  });
+
+  it("has no cost for models without a price", () => {
+    assert.equal(calculateCost({ prices }, "openai/gpt-4.1", 1000, 1000), null);
+    assert.equal(calculateCost({}, model, 1000, 1000), null);
+  });
+});
+
+describe("checkSpendingLimits", () => {
+  let config;
+  let dir;
+
+  // Write usage records with the given cost and age in days
+  async function writeUsage(...records) {
+    const lines = records.map(({ cost, daysAgo = 0 }) =>
+      JSON.stringify({
+        date: new Date(Date.now() - daysAgo * 86400000).toISOString(),
+        model,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost,
+      })
+    );
+    await fs.writeFile(config.usageLog, lines.join("\n") + "\n");
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "ai2cli-test-"));
+    config = { usageLog: path.join(dir, "usage.jsonl"), prices };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("allows requests below the limits", async () => {
+    await writeUsage({ cost: 0.5 }, { cost: 0.4 });
+    config.spendingLimits = { daily: 1, monthly: 10 };
+    await checkSpendingLimits(config);
+  });
+
+  it("refuses requests once the daily limit is reached", async () => {
+    await writeUsage({ cost: 0.6 }, { cost: 0.4 }, { cost: 5, daysAgo: 40 });
+    config.spendingLimits = { daily: 1 };
+    await assert.rejects(checkSpendingLimits(config), SpendingLimitError);
+  });
+
+  it("only counts this month's spending against the monthly limit", async () => {
+    await writeUsage({ cost: 1 }, { cost: 50, daysAgo: 40 });
+    config.spendingLimits = { monthly: 5 };
+    await checkSpendingLimits(config);
+
+    config.spendingLimits = { monthly: 1 };
+    await assert.rejects(checkSpendingLimits(config), /Monthly spending limit/);
+  });
+
+  it("records calls with their cost, counting unreported tokens as 0", async () => {
+    await recordUsage(config, {
+      sessionId: "abc123",
+      model,
+      usage: { promptTokens: 400000, completionTokens: NaN },
+    });
+    await fs.appendFile(config.usageLog, "not json\n");
+
+    const records = await readUsage(config);
+    assert.equal(records.length, 1);
+    assert.deepEqual(summarizeUsage(records), {
+      calls: 1,
+      promptTokens: 400000,
+      completionTokens: 0,
+      cost: 1,
+    });
+  });
+});